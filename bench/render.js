@@ -0,0 +1,136 @@
+// Compares list-page rendering of the current build with an older one on the cses_list.html fixture.
+//
+//   npm run bench                 # current build vs the last build before the problem-state store
+//   npm run bench -- <git-ref>    # current build vs the build committed at <git-ref>
+//
+// Every task in the fixture is marked solved and given a cached submission
+// (about half of them before the date cutoff), so no fetch is needed. Two
+// phases are measured per build:
+//   filter  loading the page and applying the date filter from the cache;
+//   burst   300 single-problem cache writes announced by another tab on the
+//           `cses-filter-sync` BroadcastChannel.
+// Reported per phase: script CPU time, time until the DOM stops changing,
+// full task-list scans (querySelectorAll over `li.task`) and submit-page
+// fetches the script started on its own.
+import { execFileSync } from 'node:child_process';
+import { performance } from 'node:perf_hooks';
+import { IDBFactory, IDBKeyRange } from 'fake-indexeddb';
+import { loadUserscript, readRepoFile, repoFile } from '../test/load-userscript.js';
+
+const CUTOFF = '2024-05-01';
+const BURST = 300;
+const QUIET_MS = 1000;
+const MAX_MS = 30000;
+const SYNC_CHANNEL = 'cses-filter-sync';
+
+const git = (...args) => execFileSync('git', args, { cwd: repoFile(''), encoding: 'utf8' });
+/** Parent of the first commit that has the problem-state store. */
+const defaultBaseline = () => git('log', '--reverse', '--format=%H', '-S', 'class ProblemStateStore', '--', 'src/cses-filter.user.ts').split('\n')[0] + '^';
+
+const baselineRef = process.argv[2] || defaultBaseline();
+const builds = [
+  { name: `baseline (${git('rev-parse', '--short', baselineRef).trim()})`, source: git('show', `${baselineRef}:cses-filter.user.js`) },
+  { name: 'current', source: readRepoFile('cses-filter.user.js') }
+];
+
+const html = readRepoFile('cses_list.html').replace(/class="task-score icon "/g, 'class="task-score icon full"');
+const taskIds = Array.from(html.matchAll(/href="\/problemset\/task\/(\d+)"/g), m => m[1]);
+const dayOffset = i => new Date(Date.UTC(2024, 0, 1) + i * 86400000);
+const accepted = times => times.map(t => ({ t: t.toISOString(), lang: 'C++', verdict: 'ACCEPTED', url: null }));
+const submitPage = `<table><tr><th>Time</th><th>Result</th></tr><tr><td>2024-06-01 12:00:00</td><td>ACCEPTED</td></tr></table>`;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const request = req => new Promise((resolve, reject) => { req.onsuccess = () => resolve(req.result); req.onerror = () => reject(req.error); });
+
+function instrument(win, counters) {
+  const qsa = win.Document.prototype.querySelectorAll;
+  const eqsa = win.Element.prototype.querySelectorAll;
+  const count = sel => { if (String(sel).includes('li.task')) counters.scans++; };
+  win.Document.prototype.querySelectorAll = function (sel) { count(sel); return qsa.call(this, sel); };
+  win.Element.prototype.querySelectorAll = function (sel) { count(sel); return eqsa.call(this, sel); };
+  win.fetch = async () => {
+    counters.fetches++;
+    return new win.Response(submitPage, { status: 200, headers: { 'Content-Type': 'text/html' } });
+  };
+}
+
+/** Resolves once the DOM has been quiet for QUIET_MS; returns ms from `start` to the last mutation. */
+async function settle(win, start) {
+  let last = performance.now();
+  const observer = new win.MutationObserver(() => { last = performance.now(); });
+  observer.observe(win.document, { subtree: true, childList: true, attributes: true, characterData: true });
+  while (performance.now() - last < QUIET_MS && performance.now() - start < MAX_MS) await sleep(50);
+  observer.disconnect();
+  return last - start;
+}
+
+async function measure(run, win, counters) {
+  counters.scans = 0;
+  counters.fetches = 0;
+  const cpu = process.cpuUsage();
+  const start = performance.now();
+  run();
+  const wall = await settle(win(), start);
+  const used = process.cpuUsage(cpu);
+  return { cpuMs: Math.round((used.user + used.system) / 1000), settledMs: Math.round(wall), scans: counters.scans, fetches: counters.fetches };
+}
+
+async function bench({ name, source }) {
+  const counters = { scans: 0, fetches: 0 };
+  const indexedDB = new IDBFactory();
+  // The page's channels are closed after the run so they cannot pick up the next build's messages
+  const channels = [];
+  const PageChannel = class extends BroadcastChannel {
+    constructor(channelName) { super(channelName); channels.push(this); }
+  };
+  let win = null;
+  const filter = await measure(() => {
+    win = loadUserscript({
+      html,
+      url: 'https://cses.fi/problemset/list/',
+      source,
+      before: w => {
+        if (!w.Response) w.Response = Response;
+        w.indexedDB = indexedDB;
+        w.IDBKeyRange = IDBKeyRange;
+        w.BroadcastChannel = PageChannel;
+        w.localStorage.setItem('cses:thresholdDate', CUTOFF);
+        // Seeded records arrive through the localStorage migration; keep them fresh so background revalidation stays out of the numbers
+        w.localStorage.setItem('cses:cacheTtl', JSON.stringify({ solvedDays: 1e6, unsolvedHours: 1e9 }));
+        taskIds.forEach((id, i) => w.localStorage.setItem('cses:lastSubmission:' + id, JSON.stringify(accepted([dayOffset(i % 240)]))));
+        instrument(w, counters);
+      }
+    });
+  }, () => win, counters);
+
+  // Write the other tab's rows first; only the announcements are measured
+  const db = await request(indexedDB.open('cses-filter'));
+  const tx = db.transaction('submissions', 'readwrite');
+  const ids = taskIds.slice(0, BURST);
+  ids.forEach((id, i) => tx.objectStore('submissions').put({ id, submissions: accepted([dayOffset(300 + i % 30), dayOffset(i % 240)]), legacyDate: null, fetchedAt: Date.now() }));
+  await new Promise((resolve, reject) => { tx.oncomplete = resolve; tx.onerror = () => reject(tx.error); });
+  db.close();
+
+  const otherTab = new BroadcastChannel(SYNC_CHANNEL);
+  const burst = await measure(() => {
+    ids.forEach(id => otherTab.postMessage({ type: 'changed', ids: [id] }));
+  }, () => win, counters);
+
+  otherTab.close();
+  channels.forEach(c => c.close());
+  win.close();
+  return { name, filter, burst };
+}
+
+const results = [];
+for (const build of builds) results.push(await bench(build));
+
+console.log(`cses_list.html: ${taskIds.length} tasks, all solved, cutoff ${CUTOFF}, burst of ${BURST} updates\n`);
+const cols = ['cpuMs', 'settledMs', 'scans', 'fetches'];
+console.log(['build', 'phase', ...cols].map(c => c.padEnd(20)).join(''));
+for (const r of results) {
+  for (const phase of ['filter', 'burst']) {
+    console.log([r.name, phase, ...cols.map(c => String(r[phase][c]))].map(c => c.padEnd(20)).join(''));
+  }
+}
+process.exit(0);
@@ -17,11 +17,66 @@
 // ==/UserScript==
 (function () {
     'use strict';
+    // Pre-IndexedDB localStorage cache (v1: ISO timestamp, v2: JSON submission list); only read for migration
     const CACHE_PREFIX = 'cses:lastSubmission:';
     const CACHE_VERSION_KEY = 'cses:lastSubmission:__version';
-    const CACHE_VERSION = 'v1';
+    const DB_NAME = 'cses-filter';
+    const DB_SCHEMA_VERSION = 2;
+    const SUBMISSIONS_STORE = 'submissions';
+    const SOURCES_STORE = 'sources';
+    const ACCEPTED = 'ACCEPTED';
     const THRESHOLD_DATE_KEY = 'cses:thresholdDate';
     const EXCLUDED_SECTIONS_KEY = 'cses:excludedSections';
+    const DATE_MODE_KEY = 'cses:dateMode';
+    const THRESHOLD_DATE_TO_KEY = 'cses:thresholdDateTo';
+    const DATE_PRESET_KEY = 'cses:datePreset';
+    const CACHE_TTL_KEY = 'cses:cacheTtl';
+    const ACTIVITY_OPEN_KEY = 'cses:activityOpen';
+    const HISTORIC_DISPLAY_KEY = 'cses:historicDisplay';
+    const TASK_VIEW_KEY = 'cses:taskView';
+    const REVIEW_MODE_KEY = 'cses:reviewMode';
+    const REVIEW_INTERVALS_KEY = 'cses:reviewIntervals';
+    const REVIEW_STATE_KEY = 'cses:reviewState';
+    const SECTION_GOALS_KEY = 'cses:sectionGoals';
+    const DAILY_GOAL_KEY = 'cses:dailyGoal';
+    const SHORTCUTS_KEY = 'cses:shortcuts';
+    const LIST_STRUCTURE_KEY = 'cses:listStructure';
+    const NOTES_KEY = 'cses:notes';
+    const SETTINGS_KEY = 'cses:settings';
+    const SETTINGS_VERSION = 1;
+    const PROFILES_KEY = 'cses:profiles';
+    const ACTIVE_PROFILE_KEY = 'cses:activeProfile';
+    const PROFILE_HASH_PREFIX = '#cses-profile=';
+    // Other tabs are told about IndexedDB writes here (storage events only cover localStorage)
+    const SYNC_CHANNEL = 'cses-filter-sync';
+    const DEFAULT_CACHE_TTL = { solvedDays: 30, unsolvedHours: 48 };
+    const DEFAULT_REVIEW_INTERVALS = [7, 21, 60, 180];
+    const ALL_BUCKETS = ['solved', 'historic', 'wrong', 'unattended'];
+    const DEFAULT_TASK_VIEW = { buckets: ALL_BUCKETS.slice(), query: '', sort: 'default', tag: '' };
+    const EXPORT_FORMAT = 'cses-filter-export';
+    const EXPORT_VERSION = 1;
+    const CSV_COLUMNS = ['id', 'title', 'section', 'status', 'first_attempt', 'first_accepted', 'last_accepted', 'last_submission', 'attempts', 'fetched_at'];
+    const DEFAULT_SETTINGS = {
+        version: SETTINGS_VERSION,
+        panel: { left: 6, top: 6, collapsed: false },
+        showOverall: true,
+        showFiltered: true,
+        colorScheme: 'classic',
+        debug: false,
+        concurrency: 3
+    };
+    const COLOR_SCHEMES = {
+        classic: { total: '#ccc', solved: '#3c9b3c', historic: '#5b8fb9', wrong: '#d28b26', unattended: '#777' },
+        // Okabe-Ito palette, distinguishable with the common color vision deficiencies
+        colorblind: { total: '#bbb', solved: '#009e73', historic: '#56b4e9', wrong: '#e69f00', unattended: '#999' },
+        contrast: { total: '#888', solved: '#007a00', historic: '#0047b3', wrong: '#b34700', unattended: '#444' }
+    };
+    const BADGE_GLYPHS = { solved: '✓', historic: '◷', wrong: '✗', unattended: '○' };
+    const DATE_MODE_LABELS = {
+        lastSubmission: 'last submission',
+        lastAccepted: 'last accepted',
+        firstAccepted: 'first accepted'
+    };
     function loadExcludedSections() {
         try {
             const raw = localStorage.getItem(EXCLUDED_SECTIONS_KEY);
@@ -40,6 +95,238 @@
         }
         catch { }
     }
+    function loadCacheTtl() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(CACHE_TTL_KEY) || 'null');
+            const solvedDays = Number(raw && raw.solvedDays), unsolvedHours = Number(raw && raw.unsolvedHours);
+            return {
+                solvedDays: solvedDays > 0 ? solvedDays : DEFAULT_CACHE_TTL.solvedDays,
+                unsolvedHours: unsolvedHours > 0 ? unsolvedHours : DEFAULT_CACHE_TTL.unsolvedHours
+            };
+        }
+        catch {
+            return { ...DEFAULT_CACHE_TTL };
+        }
+    }
+    function saveCacheTtl(ttl) {
+        try {
+            localStorage.setItem(CACHE_TTL_KEY, JSON.stringify(ttl));
+        }
+        catch { }
+    }
+    function loadTaskView() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(TASK_VIEW_KEY) || 'null');
+            if (!raw)
+                return { ...DEFAULT_TASK_VIEW, buckets: ALL_BUCKETS.slice() };
+            const buckets = Array.isArray(raw.buckets) ? ALL_BUCKETS.filter(b => raw.buckets.includes(b)) : ALL_BUCKETS.slice();
+            const sort = raw.sort === 'newest' || raw.sort === 'oldest' ? raw.sort : 'default';
+            return { buckets, query: typeof raw.query === 'string' ? raw.query : '', sort, tag: typeof raw.tag === 'string' ? normalizeTag(raw.tag) : '' };
+        }
+        catch {
+            return { ...DEFAULT_TASK_VIEW, buckets: ALL_BUCKETS.slice() };
+        }
+    }
+    function saveTaskView(view) {
+        taskView = view;
+        try {
+            localStorage.setItem(TASK_VIEW_KEY, JSON.stringify(view));
+        }
+        catch { }
+    }
+    /** Lowercase, dash-separated tag ("Segment Tree" → "segment-tree"); '' when nothing usable is left. */
+    function normalizeTag(text) {
+        return text.trim().toLowerCase().replace(/\s+/g, '-').replace(/[^\p{L}\p{N}+#._-]/gu, '').slice(0, 30);
+    }
+    function loadNotes() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(NOTES_KEY) || '{}');
+            const out = {};
+            if (!raw || typeof raw !== 'object')
+                return out;
+            Object.keys(raw).forEach(id => {
+                const n = raw[id];
+                if (!/^\d+$/.test(id) || !n || typeof n !== 'object')
+                    return;
+                const note = typeof n.note === 'string' ? n.note : '';
+                const tags = Array.isArray(n.tags) ? Array.from(new Set(n.tags.filter((t) => typeof t === 'string').map(normalizeTag).filter(Boolean))) : [];
+                if (note || tags.length)
+                    out[id] = { note, tags };
+            });
+            return out;
+        }
+        catch {
+            return {};
+        }
+    }
+    function saveNotes(notes) {
+        try {
+            localStorage.setItem(NOTES_KEY, JSON.stringify(notes));
+        }
+        catch { }
+    }
+    /** Read `cses:settings`, filling anything missing or invalid from the defaults (older versions included). */
+    function loadSettings() {
+        let raw = null;
+        try {
+            raw = JSON.parse(localStorage.getItem(SETTINGS_KEY) || 'null');
+        }
+        catch { }
+        if (!raw || typeof raw !== 'object')
+            return { ...DEFAULT_SETTINGS, panel: { ...DEFAULT_SETTINGS.panel } };
+        const bool = (v, d) => (typeof v === 'boolean' ? v : d);
+        const num = (v, d) => (typeof v === 'number' && Number.isFinite(v) ? v : d);
+        const panel = raw.panel && typeof raw.panel === 'object' ? raw.panel : {};
+        return {
+            version: SETTINGS_VERSION,
+            panel: {
+                left: num(panel.left, DEFAULT_SETTINGS.panel.left),
+                top: num(panel.top, DEFAULT_SETTINGS.panel.top),
+                collapsed: bool(panel.collapsed, false)
+            },
+            showOverall: bool(raw.showOverall, true),
+            showFiltered: bool(raw.showFiltered, true),
+            colorScheme: raw.colorScheme in COLOR_SCHEMES ? raw.colorScheme : 'classic',
+            debug: bool(raw.debug, false),
+            concurrency: Math.min(6, Math.max(1, Math.round(num(raw.concurrency, DEFAULT_SETTINGS.concurrency))))
+        };
+    }
+    function saveSettings(next) {
+        try {
+            localStorage.setItem(SETTINGS_KEY, JSON.stringify(next));
+        }
+        catch { }
+    }
+    const settings = loadSettings();
+    /** In-memory copies of the toolbar view and section goals, kept current by their save functions and `reloadSettings`. */
+    let taskView = loadTaskView();
+    let sectionGoals = loadSectionGoals();
+    function badgeColors() {
+        return COLOR_SCHEMES[settings.colorScheme];
+    }
+    /** Verbose tracing, only with "Debug logging" enabled in the settings. */
+    function debugLog(...args) {
+        if (settings.debug)
+            console.log(...args);
+    }
+    function loadSectionGoals() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(SECTION_GOALS_KEY) || '{}');
+            return raw && typeof raw === 'object' ? raw : {};
+        }
+        catch {
+            return {};
+        }
+    }
+    function saveSectionGoals(goals) {
+        sectionGoals = goals;
+        try {
+            localStorage.setItem(SECTION_GOALS_KEY, JSON.stringify(goals));
+        }
+        catch { }
+    }
+    /** Distinct problems per day needed to keep the streak going (default 1). */
+    function loadDailyGoal() {
+        const n = Number(localStorage.getItem(DAILY_GOAL_KEY));
+        return n >= 1 ? Math.round(n) : 1;
+    }
+    /** `10 by 2026-12-01` (also `10 2026-12-01`); null when unreadable. */
+    function parseGoalInput(text) {
+        const m = /^\s*(\d+)\s*(?:by|until|before)?\s*(\d{4}-\d{2}-\d{2})\s*$/i.exec(text);
+        if (!m)
+            return null;
+        const target = Number(m[1]);
+        const deadline = m[2];
+        if (!(target > 0) || isNaN(new Date(deadline + 'T00:00:00').getTime()))
+            return null;
+        return { target, deadline };
+    }
+    function normalizeProfile(raw) {
+        if (!raw || typeof raw !== 'object' || typeof raw.name !== 'string' || !raw.name.trim())
+            return null;
+        const date = (v) => (typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) ? v : '');
+        const view = raw.view && typeof raw.view === 'object' ? raw.view : {};
+        return {
+            name: raw.name.trim().slice(0, 60),
+            from: date(raw.from),
+            to: date(raw.to),
+            preset: isDatePreset(raw.preset) ? raw.preset : 'custom',
+            mode: isDateMode(raw.mode) ? raw.mode : 'lastSubmission',
+            excluded: Array.isArray(raw.excluded) ? raw.excluded.filter((x) => typeof x === 'string') : [],
+            historic: isHistoricDisplay(raw.historic) ? raw.historic : 'dim',
+            view: {
+                buckets: Array.isArray(view.buckets) ? ALL_BUCKETS.filter(b => view.buckets.includes(b)) : ALL_BUCKETS.slice(),
+                query: typeof view.query === 'string' ? view.query : '',
+                sort: view.sort === 'newest' || view.sort === 'oldest' ? view.sort : 'default',
+                tag: typeof view.tag === 'string' ? normalizeTag(view.tag) : ''
+            }
+        };
+    }
+    function loadProfiles() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(PROFILES_KEY) || '[]');
+            return Array.isArray(raw) ? raw.map(normalizeProfile).filter((p) => !!p) : [];
+        }
+        catch {
+            return [];
+        }
+    }
+    function saveProfiles(profiles) {
+        try {
+            localStorage.setItem(PROFILES_KEY, JSON.stringify(profiles));
+        }
+        catch { }
+    }
+    /** Profile as a URL-safe base64 string of short-keyed JSON (bucket names shortened to their initials). */
+    function encodeProfile(p) {
+        const compact = { n: p.name, f: p.from, t: p.to, p: p.preset, m: p.mode, x: p.excluded, h: p.historic, v: [p.view.buckets.map(b => b[0]).join(''), p.view.query, p.view.sort, p.view.tag] };
+        let bin = '';
+        new TextEncoder().encode(JSON.stringify(compact)).forEach(b => { bin += String.fromCharCode(b); });
+        return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+    }
+    /** Inverse of `encodeProfile`; also accepts a full share link. Null when the text is not a valid profile. */
+    function decodeProfile(text) {
+        const hashAt = text.indexOf(PROFILE_HASH_PREFIX.slice(1));
+        const code = (hashAt >= 0 ? text.slice(hashAt + PROFILE_HASH_PREFIX.length - 1) : text).trim();
+        try {
+            const bin = atob(code.replace(/-/g, '+').replace(/_/g, '/'));
+            const c = JSON.parse(new TextDecoder().decode(Uint8Array.from(bin, ch => ch.charCodeAt(0))));
+            const v = Array.isArray(c.v) ? c.v : [];
+            const initials = typeof v[0] === 'string' ? v[0] : 'shwu';
+            return normalizeProfile({
+                name: c.n, from: c.f, to: c.t, preset: c.p, mode: c.m, excluded: c.x, historic: c.h,
+                view: { buckets: ALL_BUCKETS.filter(b => initials.includes(b[0])), query: v[1], sort: v[2], tag: v[3] }
+            });
+        }
+        catch {
+            return null;
+        }
+    }
+    function loadReviewIntervals() {
+        const raw = localStorage.getItem(REVIEW_INTERVALS_KEY);
+        const parsed = raw ? parseIntervals(raw) : null;
+        return parsed || DEFAULT_REVIEW_INTERVALS.slice();
+    }
+    /** Comma/space separated positive day counts, sorted; null when nothing valid is given. */
+    function parseIntervals(text) {
+        const days = text.split(/[\s,\/]+/).map(Number).filter(n => Number.isFinite(n) && n > 0).map(n => Math.round(n));
+        return days.length ? days.sort((a, b) => a - b) : null;
+    }
+    function loadReviewState() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(REVIEW_STATE_KEY) || '{}');
+            return raw && typeof raw === 'object' ? raw : {};
+        }
+        catch {
+            return {};
+        }
+    }
+    function saveReviewState(state) {
+        try {
+            localStorage.setItem(REVIEW_STATE_KEY, JSON.stringify(state));
+        }
+        catch { }
+    }
     function isDarkTheme() {
         const dm = document.getElementById('darkmode-enabled');
         if (dm && dm.textContent && dm.textContent.trim() === 'true')
@@ -48,25 +335,581 @@
         const c = themeMeta && themeMeta.getAttribute('content');
         return !!(c && c.toLowerCase() === '#292929');
     }
-    // Ensure cache version
-    if (localStorage.getItem(CACHE_VERSION_KEY) !== CACHE_VERSION) {
-        Object.keys(localStorage).forEach(k => { if (k.startsWith(CACHE_PREFIX))
-            localStorage.removeItem(k); });
-        localStorage.setItem(CACHE_VERSION_KEY, CACHE_VERSION);
-    }
-    function extractLatestSubmissionDate(htmlText) {
-        const re = /(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2}:\d{2})/;
-        const match = re.exec(htmlText);
+    const TIMESTAMP_RE = /(\d{4}-\d{2}-\d{2})\s+(\d{2}:\d{2}:\d{2})/;
+    const VERDICT_RE = /\b(ACCEPTED|WRONG ANSWER|TIME LIMIT EXCEEDED|MEMORY LIMIT EXCEEDED|OUTPUT LIMIT EXCEEDED|RUNTIME ERROR|COMPILE ERROR|PENDING|TESTING|READY|FAILED)\b/i;
+    function parseTimestamp(text) {
+        const match = TIMESTAMP_RE.exec(text);
         if (!match)
             return null;
-        const dateTimeStr = match[1] + 'T' + match[2];
-        const date = new Date(dateTimeStr);
+        const date = new Date(match[1] + 'T' + match[2]);
         return isNaN(date.getTime()) ? null : date;
     }
+    function cellText(el) {
+        return (el && el.textContent || '').replace(/\s+/g, ' ').trim();
+    }
+    /** Verdict from explicit text, falling back to the CSES score icon (full = accepted, zero = rejected). */
+    function extractVerdict(el) {
+        const m = VERDICT_RE.exec(cellText(el));
+        if (m && m[1])
+            return m[1].toUpperCase();
+        const icon = el.querySelector('.task-score');
+        if (icon && icon.classList.contains('full'))
+            return ACCEPTED;
+        if (icon && icon.classList.contains('zero'))
+            return 'REJECTED';
+        return '';
+    }
+    function resultLinkOf(el) {
+        const a = el.matches('a[href*="/problemset/result/"]') ? el : el.querySelector('a[href*="/problemset/result/"]');
+        const href = a && a.getAttribute('href');
+        return href ? new URL(href, 'https://cses.fi').toString() : null;
+    }
+    /**
+     * Parse every submission listed on a `/problemset/submit/<id>/` page.
+     * Understands the submission table (header-driven columns) and the sidebar
+     * list of result links. Timestamps anywhere else on the page are ignored, so
+     * an unknown layout reads as no submissions rather than an attempt of unknown verdict.
+     * Result is sorted newest first.
+     */
+    function parseSubmissionHistory(htmlText) {
+        const doc = new DOMParser().parseFromString(htmlText, 'text/html');
+        const records = [];
+        const seen = new Set();
+        const add = (rec) => {
+            const key = rec.resultUrl || (rec.time.toISOString() + '|' + rec.verdict);
+            if (seen.has(key))
+                return;
+            seen.add(key);
+            records.push(rec);
+        };
+        Array.from(doc.querySelectorAll('table')).forEach(table => {
+            const rows = Array.from(table.querySelectorAll('tr'));
+            const headerRow = rows.find(r => r.querySelector('th'));
+            const headers = headerRow ? Array.from(headerRow.children).map(c => cellText(c).toLowerCase()) : [];
+            const col = (...names) => headers.findIndex(h => names.some(n => h.includes(n)));
+            const timeCol = col('time', 'date'), langCol = col('lang'), resultCol = col('result', 'verdict', 'status');
+            rows.forEach(row => {
+                if (row === headerRow)
+                    return;
+                const cells = Array.from(row.children);
+                const timeCell = timeCol >= 0 ? cells[timeCol] : cells.find(c => TIMESTAMP_RE.test(cellText(c)));
+                const time = parseTimestamp(cellText(timeCell));
+                if (!time)
+                    return;
+                const langCell = langCol >= 0 ? cells[langCol] : undefined;
+                const resultCell = resultCol >= 0 ? cells[resultCol] : undefined;
+                add({
+                    time,
+                    language: cellText(langCell),
+                    verdict: extractVerdict(resultCell || row),
+                    resultUrl: resultLinkOf(row)
+                });
+            });
+        });
+        Array.from(doc.querySelectorAll('a[href*="/problemset/result/"]')).forEach(a => {
+            if (a.closest('table'))
+                return;
+            const time = parseTimestamp(cellText(a));
+            if (!time)
+                return;
+            add({ time, language: '', verdict: extractVerdict(a), resultUrl: resultLinkOf(a) });
+        });
+        return records.sort((a, b) => b.time.getTime() - a.time.getTime());
+    }
+    /**
+     * Read the finished submission shown on a `/problemset/result/<id>/` page from its
+     * label/value summary rows (Task, Submission time, Language, Status, Result).
+     * Returns null while the submission is still being judged or when the page is unreadable.
+     */
+    function parseResultPage(doc, pageUrl) {
+        var _a;
+        let problemId = null, time = null, language = '', verdict = '', status = '';
+        Array.from(doc.querySelectorAll('table tr')).forEach(row => {
+            var _a, _b;
+            const cells = Array.from(row.children);
+            if (cells.length < 2)
+                return;
+            const label = cellText(cells[0]).toLowerCase().replace(/:$/, '');
+            const value = cells[1];
+            if (label === 'task') {
+                const href = ((_a = value.querySelector('a[href*="/problemset/task/"]')) === null || _a === void 0 ? void 0 : _a.getAttribute('href')) || '';
+                problemId = ((_b = /\/task\/(\d+)/.exec(href)) === null || _b === void 0 ? void 0 : _b[1]) || problemId;
+            }
+            else if (label === 'submission time' || label === 'time')
+                time = parseTimestamp(cellText(value)) || time;
+            else if (label === 'language')
+                language = cellText(value);
+            else if (label === 'status')
+                status = cellText(value).toUpperCase();
+            else if (label === 'result')
+                verdict = extractVerdict(value);
+        });
+        if (!problemId || !time || !verdict)
+            return null;
+        if (status && status !== 'READY')
+            return null;
+        if (/^(PENDING|TESTING|READY)$/.test(verdict))
+            return null;
+        const resultId = (_a = /\/problemset\/result\/(\d+)/.exec(pageUrl)) === null || _a === void 0 ? void 0 : _a[1];
+        const resultUrl = resultId ? `https://cses.fi/problemset/result/${resultId}/` : null;
+        return { problemId, submission: { time, language, verdict, resultUrl } };
+    }
+    /** Submitted code shown on a result page, or null when the page has none. Prettify's numbered lines are joined back up. */
+    function extractSourceCode(doc) {
+        const pre = doc.querySelector('pre.prettyprint') || Array.from(doc.querySelectorAll('pre'))
+            .find(el => /^code$/i.test(cellText(el.previousElementSibling)));
+        if (!pre)
+            return null;
+        const lines = pre.querySelectorAll('ol.linenums > li');
+        const code = lines.length ? Array.from(lines, li => li.textContent || '').join('\n') : pre.textContent || '';
+        return code.trim() ? code : null;
+    }
+    function resultIdFromUrl(url) {
+        var _a;
+        return (url && ((_a = /\/problemset\/result\/(\d+)/.exec(url)) === null || _a === void 0 ? void 0 : _a[1])) || null;
+    }
+    function buildSubmissionMeta(submissions) {
+        const accepted = submissions.filter(s => s.verdict === ACCEPTED);
+        const last = submissions[0], first = submissions[submissions.length - 1];
+        return {
+            date: last ? last.time : null,
+            attempted: submissions.length > 0,
+            firstAttempt: first ? first.time : null,
+            firstAccepted: accepted.length ? accepted[accepted.length - 1].time : null,
+            lastAccepted: accepted.length ? accepted[0].time : null,
+            submissions
+        };
+    }
+    const EMPTY_META = buildSubmissionMeta([]);
+    function toCachedSubmissions(submissions) {
+        return submissions.map(s => ({ t: s.time.toISOString(), lang: s.language, verdict: s.verdict, url: s.resultUrl }));
+    }
+    function metaFromStored(rec) {
+        const submissions = rec.submissions
+            .map(r => ({ time: new Date(r.t), language: r.lang || '', verdict: r.verdict || '', resultUrl: r.url || null }))
+            .filter(r => !isNaN(r.time.getTime()));
+        if (!submissions.length && rec.legacyDate) {
+            const d = new Date(rec.legacyDate);
+            if (!isNaN(d.getTime()))
+                return { date: d, attempted: true, firstAttempt: null, firstAccepted: null, lastAccepted: null, submissions: [] };
+        }
+        return buildSubmissionMeta(submissions);
+    }
+    /**
+     * Convert a pre-IndexedDB localStorage value: `NONE`, a v1 ISO timestamp or
+     * a v2 JSON submission list. Returns null when the value is unreadable.
+     */
+    function storedFromLegacy(id, value) {
+        if (value === 'NONE')
+            return { id, submissions: [], legacyDate: null, fetchedAt: 0 };
+        if (value.startsWith('[')) {
+            try {
+                const rows = JSON.parse(value);
+                return Array.isArray(rows) ? { id, submissions: rows, legacyDate: null, fetchedAt: 0 } : null;
+            }
+            catch {
+                return null;
+            }
+        }
+        return isNaN(new Date(value).getTime()) ? null : { id, submissions: [], legacyDate: value, fetchedAt: 0 };
+    }
+    function mergeStored(a, b) {
+        const byTime = new Map();
+        // Prefer the more detailed row when both sides know the same submission
+        const weight = (x) => (x.url ? 2 : 0) + (x.verdict ? 1 : 0) + (x.lang ? 1 : 0);
+        a.submissions.concat(b.submissions).forEach(sub => {
+            const prev = byTime.get(sub.t);
+            if (!prev || weight(sub) > weight(prev))
+                byTime.set(sub.t, sub);
+        });
+        const submissions = Array.from(byTime.values()).sort((x, y) => (x.t < y.t ? 1 : x.t > y.t ? -1 : 0));
+        return {
+            id: a.id,
+            submissions,
+            legacyDate: submissions.length ? null : (a.legacyDate || b.legacyDate),
+            fetchedAt: Math.max(a.fetchedAt, b.fetchedAt)
+        };
+    }
+    /** Upgrade steps indexed by the schema version they produce. */
+    const DB_MIGRATIONS = [
+        () => { },
+        db => { db.createObjectStore(SUBMISSIONS_STORE, { keyPath: 'id' }); },
+        db => { db.createObjectStore(SOURCES_STORE, { keyPath: 'id' }).createIndex('problemId', 'problemId'); }
+    ];
+    function idbRequest(req) {
+        return new Promise((resolve, reject) => {
+            req.onsuccess = () => resolve(req.result);
+            req.onerror = () => reject(req.error);
+        });
+    }
+    function openDatabase() {
+        return new Promise((resolve, reject) => {
+            const req = indexedDB.open(DB_NAME, DB_SCHEMA_VERSION);
+            let blocked = false;
+            req.onupgradeneeded = e => {
+                for (let v = e.oldVersion + 1; v <= DB_SCHEMA_VERSION; v++)
+                    DB_MIGRATIONS[v](req.result);
+            };
+            req.onsuccess = () => {
+                // The caller already gave up when the upgrade was blocked; nobody would ever close this connection
+                if (blocked) {
+                    req.result.close();
+                    return;
+                }
+                // Let a newer version of the script in another tab upgrade the schema
+                req.result.onversionchange = () => req.result.close();
+                resolve(req.result);
+            };
+            req.onerror = () => reject(req.error);
+            req.onblocked = () => {
+                blocked = true;
+                reject(new Error('IndexedDB upgrade blocked by another tab'));
+            };
+        });
+    }
+    let databasePromise = null;
+    /** The one connection shared by `SubmissionStore` and `SourceArchive`, opened on first use. */
+    function sharedDatabase() {
+        if (!databasePromise)
+            databasePromise = openDatabase();
+        return databasePromise;
+    }
+    /**
+     * Per-problem submission cache persisted in IndexedDB. Everything is loaded
+     * into memory once (`ready`) so DOM classification can read it synchronously;
+     * writes update memory immediately and persist in the background. Falls back
+     * to memory only when IndexedDB is unavailable.
+     */
+    class SubmissionStore {
+        constructor() {
+            this.db = null;
+            this.records = new Map();
+            this.metas = new Map();
+            this.channel = null;
+            /** Called after another tab changed the cache; `ids` is null when it was cleared. */
+            this.onExternalChange = null;
+            /** Called after another tab saved review progress for `ids` (already in `localStorage`). */
+            this.onExternalReview = null;
+            this.ready = this.load();
+            if (typeof BroadcastChannel !== 'undefined') {
+                this.channel = new BroadcastChannel(SYNC_CHANNEL);
+                this.channel.onmessage = e => { this.ready.then(() => this.receive(e.data)); };
+            }
+        }
+        async load() {
+            try {
+                this.db = await sharedDatabase();
+                const rows = await idbRequest(this.db.transaction(SUBMISSIONS_STORE).objectStore(SUBMISSIONS_STORE).getAll());
+                rows.forEach(r => this.records.set(r.id, r));
+            }
+            catch (e) {
+                console.warn('[CSES Filter] IndexedDB unavailable, cache will not persist', e);
+            }
+            await this.migrateLocalStorage();
+        }
+        async migrateLocalStorage() {
+            const keys = Object.keys(localStorage).filter(k => k.startsWith(CACHE_PREFIX) && k !== CACHE_VERSION_KEY);
+            if (!keys.length && localStorage.getItem(CACHE_VERSION_KEY) === null)
+                return;
+            const migrated = [];
+            const ttl = loadCacheTtl(), now = Date.now();
+            keys.forEach(k => {
+                const id = k.slice(CACHE_PREFIX.length);
+                const rec = storedFromLegacy(id, localStorage.getItem(k) || '');
+                if (!rec || this.records.has(id))
+                    return;
+                // Spread the migrated records' expiry over one TTL instead of revalidating the whole cache at once
+                rec.fetchedAt = now - Math.floor(Math.random() * maxCacheAge(metaFromStored(rec), ttl));
+                this.records.set(id, rec);
+                migrated.push(rec);
+            });
+            if (!this.db)
+                return;
+            try {
+                await this.write(store => migrated.forEach(r => store.put(r)));
+                keys.forEach(k => localStorage.removeItem(k));
+                localStorage.removeItem(CACHE_VERSION_KEY);
+                if (migrated.length)
+                    debugLog(`[CSES Filter] Migrated ${migrated.length} cached problems from localStorage to IndexedDB`);
+            }
+            catch (e) {
+                console.warn('[CSES Filter] localStorage migration failed, will retry next load', e);
+            }
+        }
+        announceReview(ids) {
+            if (ids.length)
+                this.announce({ type: 'review', ids });
+        }
+        announce(msg) {
+            try {
+                if (this.channel)
+                    this.channel.postMessage(msg);
+            }
+            catch { }
+        }
+        /** Re-read rows another tab wrote, so the in-memory mirror matches IndexedDB again. */
+        async receive(msg) {
+            if (msg && msg.type === 'review') {
+                if (Array.isArray(msg.ids) && this.onExternalReview)
+                    this.onExternalReview(msg.ids);
+                return;
+            }
+            if (!msg || !this.db)
+                return;
+            if (msg.type === 'cleared') {
+                this.records.clear();
+                this.metas.clear();
+                if (this.onExternalChange)
+                    this.onExternalChange(null);
+                return;
+            }
+            if (!Array.isArray(msg.ids) || !msg.ids.length)
+                return;
+            const store = this.db.transaction(SUBMISSIONS_STORE).objectStore(SUBMISSIONS_STORE);
+            const rows = await Promise.all(msg.ids.map(id => idbRequest(store.get(id)).catch(() => undefined)));
+            msg.ids.forEach((id, i) => {
+                const row = rows[i];
+                if (row)
+                    this.records.set(id, row);
+                else
+                    this.records.delete(id);
+                this.metas.delete(id);
+            });
+            if (this.onExternalChange)
+                this.onExternalChange(msg.ids);
+        }
+        write(fn) {
+            if (!this.db)
+                return Promise.resolve();
+            const tx = this.db.transaction(SUBMISSIONS_STORE, 'readwrite');
+            fn(tx.objectStore(SUBMISSIONS_STORE));
+            return new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+        /** Cached meta, or null when the problem was never fetched (or the store is still loading). */
+        peek(problemId) {
+            const cached = this.metas.get(problemId);
+            if (cached)
+                return cached;
+            const rec = this.records.get(problemId);
+            if (!rec)
+                return null;
+            const meta = metaFromStored(rec);
+            this.metas.set(problemId, meta);
+            return meta;
+        }
+        peekRecord(problemId) {
+            return this.records.get(problemId) || null;
+        }
+        ids() {
+            return Array.from(this.records.keys());
+        }
+        size() {
+            return this.records.size;
+        }
+        put(problemId, submissions, fetchedAt = Date.now()) {
+            const rec = { id: problemId, submissions: toCachedSubmissions(submissions), legacyDate: null, fetchedAt };
+            this.records.set(problemId, rec);
+            this.metas.delete(problemId);
+            return this.write(store => store.put(rec))
+                .then(() => this.announce({ type: 'changed', ids: [problemId] }))
+                .catch(e => console.error('[CSES Filter] Failed to persist', problemId, e));
+        }
+        remove(problemId) {
+            this.records.delete(problemId);
+            this.metas.delete(problemId);
+            return this.write(store => store.delete(problemId))
+                .then(() => this.announce({ type: 'changed', ids: [problemId] }))
+                .catch(e => console.error('[CSES Filter] Failed to delete', problemId, e));
+        }
+        /** Merge records from another source: submission lists are unioned by time, the newer `fetchedAt` wins. */
+        merge(incoming) {
+            const changed = [];
+            incoming.forEach(inc => {
+                const cur = this.records.get(inc.id);
+                const merged = cur ? mergeStored(cur, inc) : inc;
+                if (cur && JSON.stringify(cur) === JSON.stringify(merged))
+                    return;
+                this.records.set(inc.id, merged);
+                this.metas.delete(inc.id);
+                changed.push(merged);
+            });
+            return this.write(store => changed.forEach(r => store.put(r))).then(() => {
+                if (changed.length)
+                    this.announce({ type: 'changed', ids: changed.map(r => r.id) });
+                return changed.length;
+            });
+        }
+        clear() {
+            const n = this.records.size;
+            this.records.clear();
+            this.metas.clear();
+            return this.write(store => store.clear()).then(() => {
+                this.announce({ type: 'cleared' });
+                return n;
+            });
+        }
+    }
+    const submissionStore = new SubmissionStore();
+    /** Accepted source code kept in its own IndexedDB store, on the connection shared with the submission cache. */
+    class SourceArchive {
+        constructor() {
+            this.db = null;
+        }
+        open() {
+            if (!this.db)
+                this.db = sharedDatabase().catch(e => {
+                    console.warn('[CSES Filter] IndexedDB unavailable, code archive disabled', e);
+                    return null;
+                });
+            return this.db;
+        }
+        /** Archived sources of a problem, newest submission first. */
+        async list(problemId) {
+            const db = await this.open();
+            if (!db)
+                return [];
+            const rows = await idbRequest(db.transaction(SOURCES_STORE).objectStore(SOURCES_STORE).index('problemId').getAll(problemId));
+            return rows.sort((x, y) => (x.t < y.t ? 1 : x.t > y.t ? -1 : 0));
+        }
+        async has(id) {
+            const db = await this.open();
+            if (!db)
+                return false;
+            return (await idbRequest(db.transaction(SOURCES_STORE).objectStore(SOURCES_STORE).count(id))) > 0;
+        }
+        async put(source) {
+            const db = await this.open();
+            if (!db)
+                return;
+            const tx = db.transaction(SOURCES_STORE, 'readwrite');
+            tx.objectStore(SOURCES_STORE).put(source);
+            await new Promise((resolve, reject) => {
+                tx.oncomplete = () => resolve();
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        }
+    }
+    const sourceArchive = new SourceArchive();
+    function requestFrame(fn) {
+        return typeof requestAnimationFrame === 'function' ? requestAnimationFrame(fn) : window.setTimeout(fn, 16);
+    }
+    /**
+     * Single in-memory model of the task rows on the page: rows are read from the DOM once, and
+     * each state is derived from the submission cache when it is first read after a change.
+     * Writers call `invalidate`; subscribers get the changed ids once per animation frame, so a
+     * burst of fetches re-renders icons and badges once instead of once per problem.
+     */
+    class ProblemStateStore {
+        constructor() {
+            this.states = new Map();
+            this.stale = new Set();
+            this.pending = new Set();
+            this.frame = null;
+            this.filter = null;
+            this.listeners = [];
+        }
+        scan() {
+            document.querySelectorAll('li.task').forEach(li => this.track(li));
+        }
+        /** Register a task row (again); returns its problem id, or null for rows without a task link. */
+        track(li) {
+            const id = taskRowProblemId(li);
+            if (!id)
+                return null;
+            const icon = li.querySelector('span.task-score.icon');
+            if (icon && icon.classList.contains('full'))
+                icon.dataset.originalSolved = '1';
+            const pageSolved = !!icon && icon.dataset.originalSolved === '1';
+            const pageWrong = !!icon && icon.classList.contains('zero');
+            const cur = this.states.get(id);
+            if (!cur)
+                this.states.set(id, { id, rows: [li], pageSolved, pageWrong, bucket: 'unattended', date: null });
+            else {
+                if (!cur.rows.includes(li))
+                    cur.rows.push(li);
+                cur.pageSolved = cur.pageSolved || pageSolved;
+                cur.pageWrong = cur.pageWrong || pageWrong;
+            }
+            this.stale.add(id);
+            return id;
+        }
+        get(id) {
+            const st = this.states.get(id);
+            if (!st)
+                return null;
+            if (this.stale.delete(id))
+                this.compute(st);
+            return st;
+        }
+        ids() {
+            return Array.from(this.states.keys());
+        }
+        currentFilter() {
+            if (!this.filter) {
+                const range = getDateRange();
+                this.filter = { range, mode: getDateMode(), unfiltered: isUnfilteredRange(range) };
+            }
+            return this.filter;
+        }
+        /** Snapshot the date range and mode every state is judged against; invalidates everything. */
+        setFilter(range, mode) {
+            this.filter = { range, mode, unfiltered: isUnfilteredRange(range) };
+            this.invalidate();
+        }
+        /** Mark problems (all when omitted) as changed; unknown ids are ignored. */
+        invalidate(ids) {
+            for (const id of ids || this.states.keys()) {
+                if (!this.states.has(id))
+                    continue;
+                this.stale.add(id);
+                this.pending.add(id);
+            }
+            if (this.pending.size && this.frame === null)
+                this.frame = requestFrame(() => this.flush());
+        }
+        subscribe(listener) {
+            this.listeners.push(listener);
+        }
+        flush() {
+            this.frame = null;
+            const ids = new Set(this.pending);
+            this.pending.clear();
+            this.listeners.forEach(fn => fn(ids));
+        }
+        compute(st) {
+            const meta = readCachedMeta(st.id);
+            if (st.pageSolved) {
+                const f = this.currentFilter();
+                st.date = meta ? filterDate(meta, f.mode) : null;
+                st.bucket = st.date && !f.unfiltered && !isInRange(st.date, f.range) ? 'historic' : 'solved';
+            }
+            else {
+                st.date = meta ? meta.date : null;
+                st.bucket = st.pageWrong || (meta && meta.attempted) ? 'wrong' : 'unattended';
+            }
+        }
+    }
+    const problemStates = new ProblemStateStore();
+    function readCachedMeta(problemId) {
+        return submissionStore.peek(problemId);
+    }
+    function capitalize(s) {
+        return s.charAt(0).toUpperCase() + s.slice(1);
+    }
+    /** Local calendar date as `YYYY-MM-DD` (the format of `<input type="date">`). */
     function toISODate(d) {
-        const iso = d.toISOString();
-        const idx = iso.indexOf('T');
-        return idx === -1 ? iso : iso.slice(0, idx);
+        const pad = (n) => (n < 10 ? '0' : '') + n;
+        return `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}`;
+    }
+    function addDays(d, days) {
+        const r = new Date(d.getTime());
+        r.setDate(r.getDate() + days);
+        return r;
     }
     function createUI() {
         let panel = document.getElementById('cses-filter-panel');
@@ -74,47 +917,127 @@
             return panel;
         panel = document.createElement('div');
         panel.id = 'cses-filter-panel';
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', 'CSES filter');
         panel.innerHTML = `
-      <label style="display:flex;align-items:center;gap:4px;font:12px system-ui;"> 
-        <span style="font-weight:600;">Solved after:</span>
-        <input type="date" id="cses-threshold-date" style="padding:2px;font-size:12px;" />
+      <div id="cses-panel-header" title="Drag to move" style="display:flex;align-items:center;gap:4px;margin-bottom:4px;font:12px system-ui;cursor:move;user-select:none;">
+        <span style="font-weight:700;">CSES Filter</span>
+        <button type="button" id="cses-settings-toggle" title="Show settings" aria-label="Settings" aria-controls="cses-settings" aria-expanded="false" style="margin-left:auto;font-size:11px;padding:0 6px;">⚙</button>
+        <button type="button" id="cses-panel-collapse" title="Collapse panel" aria-label="Show panel contents" aria-controls="cses-panel-body" aria-expanded="true" style="font-size:11px;padding:0 6px;">▾</button>
+      </div>
+      <div id="cses-panel-body">
+      <div style="display:flex;align-items:center;gap:4px;margin-bottom:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Profile:</span>
+        <select id="cses-profile" aria-label="Filter profile" title="Switch to a saved filter profile" style="padding:1px 2px;font-size:12px;max-width:10em;"></select>
+        <button type="button" id="cses-profile-save" title="Save the current range, sections and display options as a profile" style="font-size:11px;padding:2px 6px;">Save</button>
+        <button type="button" id="cses-profile-rename" title="Rename the selected profile" style="font-size:11px;padding:2px 6px;">Rename</button>
+        <button type="button" id="cses-profile-delete" title="Delete the selected profile" style="font-size:11px;padding:2px 6px;">Delete</button>
+        <button type="button" id="cses-profile-share" title="Copy a link that loads the current filters" style="font-size:11px;padding:2px 6px;">Share</button>
+        <button type="button" id="cses-profile-load" title="Load a profile from a shared link or code" style="font-size:11px;padding:2px 6px;">Load</button>
+      </div>
+      <div style="display:flex;align-items:center;gap:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Solved from:</span>
+        <input type="date" id="cses-threshold-date" aria-label="Solved from (inclusive)" title="Start of range (inclusive)" style="padding:2px;font-size:12px;" />
+        <span>to</span>
+        <input type="date" id="cses-threshold-date-to" aria-label="Solved to (inclusive, optional)" title="End of range (inclusive, optional)" style="padding:2px;font-size:12px;" />
         <button type="button" id="cses-clear-cache" title="Clear cached submission timestamps" style="font-size:11px;padding:2px 6px;">Clear Cache</button>
+      </div>
+      <div style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Data:</span>
+        <button type="button" id="cses-export-json" title="Download all cached progress as JSON" style="font-size:11px;padding:2px 6px;">Export JSON</button>
+        <button type="button" id="cses-export-csv" title="Download a spreadsheet-friendly CSV summary" style="font-size:11px;padding:2px 6px;">Export CSV</button>
+        <button type="button" id="cses-import" title="Merge a JSON or CSV export into the cache" style="font-size:11px;padding:2px 6px;">Import</button>
+        <input type="file" id="cses-import-file" accept=".json,.csv,application/json,text/csv" style="display:none;" />
+      </div>
+      <label style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Range:</span>
+        <select id="cses-date-preset" title="Quick date range presets" style="padding:1px 2px;font-size:12px;">
+          <option value="custom">Custom</option>
+          <option value="last7">Last 7 days</option>
+          <option value="last30">Last 30 days</option>
+          <option value="last90">Last 90 days</option>
+          <option value="thisMonth">This month</option>
+        </select>
+        <span style="font-weight:600;">Compare:</span>
+        <select id="cses-date-mode" title="Which submission date is compared against the cutoff" style="padding:1px 2px;font-size:12px;">
+          <option value="lastSubmission">Last submission</option>
+          <option value="lastAccepted">Last accepted</option>
+          <option value="firstAccepted">First accepted</option>
+        </select>
+      </label>
+      <label style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Older solves:</span>
+        <select id="cses-historic-display" title="How solves outside the date range are shown" style="padding:1px 2px;font-size:12px;">
+          <option value="dim">Dim check mark</option>
+          <option value="hide">Hide check mark</option>
+          <option value="keep">Keep check mark</option>
+        </select>
       </label>
-      <div id="cses-filter-status" style="margin-top:4px;font:11px system-ui;color:#444;max-width:260px;line-height:1.3;"></div>
+      <div style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Recheck:</span>
+        <label title="Re-fetch cached solved problems older than this many days">solved <input type="number" id="cses-ttl-solved" min="1" step="1" style="width:3.5em;padding:1px 2px;font-size:12px;" /> d</label>
+        <label title="Re-fetch cached unsolved or untouched problems older than this many hours">unsolved <input type="number" id="cses-ttl-unsolved" min="1" step="1" style="width:3.5em;padding:1px 2px;font-size:12px;" /> h</label>
+      </div>
+      <div style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <label title="Mark solved problems that are due for spaced-repetition review"><input type="checkbox" id="cses-review-mode" /> <span style="font-weight:600;">Review</span></label>
+        <label title="Review intervals in days, counted from the last accepted submission; each new accepted submission moves to the next interval">every <input type="text" id="cses-review-intervals" style="width:8em;padding:1px 2px;font-size:12px;" /> d</label>
+      </div>
+      <div id="cses-review-queue" style="display:none;margin-top:4px;font:11px system-ui;max-width:260px;line-height:1.3;"></div>
+      <div id="cses-next-up" style="display:none;margin-top:4px;font:11px system-ui;max-width:260px;line-height:1.3;"></div>
+      <div style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+        <span style="font-weight:600;">Streak:</span>
+        <span id="cses-streak" role="status" title="Consecutive days on which the daily goal was met, from cached accepted submissions"></span>
+        <label title="Distinct problems to solve each day to keep the streak">goal <input type="number" id="cses-daily-goal" min="1" step="1" style="width:3em;padding:1px 2px;font-size:12px;" /> /day</label>
+      </div>
+      <div id="cses-settings" style="display:none;margin-top:6px;padding-top:4px;border-top:1px solid rgba(128,128,128,0.4);">
+        <div style="display:flex;align-items:center;gap:6px;font:12px system-ui;">
+          <span style="font-weight:600;">Badges:</span>
+          <label title="Show the [total / solved / wrong / unattended] badge on section headings"><input type="checkbox" id="cses-show-overall" /> overall</label>
+          <label title="Show the [filtered …] badge on section headings"><input type="checkbox" id="cses-show-filtered" /> filtered</label>
+        </div>
+        <label style="display:flex;align-items:center;gap:4px;margin-top:4px;font:12px system-ui;">
+          <span style="font-weight:600;">Colors:</span>
+          <select id="cses-color-scheme" title="Badge and progress colors" style="padding:1px 2px;font-size:12px;">
+            <option value="classic">Classic</option>
+            <option value="colorblind">Color-blind safe</option>
+            <option value="contrast">High contrast</option>
+          </select>
+        </label>
+        <div style="display:flex;align-items:center;gap:6px;margin-top:4px;font:12px system-ui;">
+          <label title="How many submission pages are fetched at the same time"><span style="font-weight:600;">Parallel fetches:</span> <input type="number" id="cses-concurrency" min="1" max="6" step="1" style="width:3em;padding:1px 2px;font-size:12px;" /></label>
+          <label title="Log every decision to the browser console"><input type="checkbox" id="cses-debug" /> debug log</label>
+        </div>
+        <div style="margin-top:4px;"><button type="button" id="cses-reset-position" title="Move the panel back to the top-left corner" style="font-size:11px;padding:2px 6px;">Reset position</button></div>
+      </div>
+      <details id="cses-legend" style="margin-top:4px;font:11px system-ui;max-width:260px;line-height:1.3;">
+        <summary style="cursor:pointer;font-weight:600;">Legend</summary>
+        <div class="cses-legend-body" style="margin-top:2px;"></div>
+      </details>
+      </div>
+      <div id="cses-filter-status" role="status" aria-live="polite" aria-atomic="true" style="margin-top:4px;font:11px system-ui;color:#444;max-width:260px;line-height:1.3;"></div>
+      <div id="cses-cache-status" style="margin-top:2px;font:11px system-ui;color:#444;max-width:260px;line-height:1.3;"></div>
     `;
         function applyTheme() {
             const dark = isDarkTheme();
             if (dark) {
                 Object.assign(panel.style, {
-                    position: 'fixed', top: '6px', left: '6px', background: 'rgba(32,32,32,0.92)',
+                    position: 'fixed', background: 'rgba(32,32,32,0.92)',
                     border: '1px solid #444', padding: '6px 8px', borderRadius: '6px', zIndex: '10000',
                     boxShadow: '0 2px 6px rgba(0,0,0,0.5)', color: '#eee'
                 });
-                const status = panel.querySelector('#cses-filter-status');
-                if (status)
-                    status.style.color = '#bbb';
-                const input = panel.querySelector('#cses-threshold-date');
-                if (input)
-                    Object.assign(input.style, { background: '#1e1e1e', color: '#eee', border: '1px solid #555' });
-                const btn = panel.querySelector('#cses-clear-cache');
-                if (btn)
-                    Object.assign(btn.style, { background: '#2a2a2a', color: '#ddd', border: '1px solid #555', cursor: 'pointer' });
+                panel.querySelectorAll('#cses-filter-status, #cses-cache-status').forEach(el => { el.style.color = '#bbb'; });
+                panel.querySelectorAll('input, select').forEach(el => Object.assign(el.style, { background: '#1e1e1e', color: '#eee', border: '1px solid #555' }));
+                panel.querySelectorAll('button').forEach(el => Object.assign(el.style, { background: '#2a2a2a', color: '#ddd', border: '1px solid #555', cursor: 'pointer' }));
             }
             else {
                 Object.assign(panel.style, {
-                    position: 'fixed', top: '6px', left: '6px', background: 'rgba(255,255,255,0.9)',
+                    position: 'fixed', background: 'rgba(255,255,255,0.9)',
                     border: '1px solid #ccc', padding: '6px 8px', borderRadius: '6px', zIndex: '10000',
                     boxShadow: '0 2px 5px rgba(0,0,0,0.15)', color: '#222'
                 });
-                const status = panel.querySelector('#cses-filter-status');
-                if (status)
-                    status.style.color = '#444';
-                const input = panel.querySelector('#cses-threshold-date');
-                if (input)
-                    Object.assign(input.style, { background: '#fff', color: '#111', border: '1px solid #bbb' });
-                const btn = panel.querySelector('#cses-clear-cache');
-                if (btn)
-                    Object.assign(btn.style, { background: '#f5f5f5', color: '#222', border: '1px solid #bbb', cursor: 'pointer' });
+                panel.querySelectorAll('#cses-filter-status, #cses-cache-status').forEach(el => { el.style.color = '#444'; });
+                panel.querySelectorAll('input, select').forEach(el => Object.assign(el.style, { background: '#fff', color: '#111', border: '1px solid #bbb' }));
+                panel.querySelectorAll('button').forEach(el => Object.assign(el.style, { background: '#f5f5f5', color: '#222', border: '1px solid #bbb', cursor: 'pointer' }));
             }
         }
         applyTheme();
@@ -124,8 +1047,112 @@
             observer.observe(themeMeta, { attributes: true, attributeFilter: ['content'] });
         }
         document.body.appendChild(panel);
+        placePanel(panel);
         return panel;
     }
+    /** Put the panel at the saved position, kept inside the viewport. */
+    function placePanel(panel) {
+        const maxLeft = Math.max(0, window.innerWidth - (panel.offsetWidth || 200));
+        const maxTop = Math.max(0, window.innerHeight - (panel.offsetHeight || 40));
+        panel.style.left = Math.min(maxLeft, Math.max(0, settings.panel.left)) + 'px';
+        panel.style.top = Math.min(maxTop, Math.max(0, settings.panel.top)) + 'px';
+    }
+    function renderLegend() {
+        const body = document.querySelector('#cses-legend .cses-legend-body');
+        if (!body)
+            return;
+        const c = badgeColors();
+        const sw = (color, text) => `<span style="color:${color};font-weight:600;">${text}</span>`;
+        const g = BADGE_GLYPHS;
+        body.innerHTML =
+            `<div>[${sw(c.total, 'total')} / ${sw(c.solved, g.solved + 'solved')} / ${sw(c.wrong, g.wrong + 'wrong')} / ${sw(c.unattended, g.unattended + 'unattended')}]: every task of the section; wrong = attempted but never accepted, unattended = never submitted.</div>` +
+                `<div style="margin-top:2px;">[filtered ${sw(c.solved, g.solved + 'solved')} / ${sw(c.historic, g.historic + 'historic')} / ${sw(c.wrong, g.wrong + 'wrong')} / ${sw(c.unattended, g.unattended + 'unattended')}]: the same tasks under the date range; solved counts only solves inside it, historic the ones outside it.</div>` +
+                `<div style="margin-top:2px;">Faded or missing check mark = historic solve. Dashed ring = due for review. Excluded sections (🙈) are left out of "General".</div>`;
+    }
+    /** Apply `settings` to the page: panel state, badge visibility, colors and fetch concurrency. */
+    function applyPanelSettings() {
+        const panel = document.getElementById('cses-filter-panel');
+        if (!panel)
+            return;
+        const body = panel.querySelector('#cses-panel-body');
+        const collapse = panel.querySelector('#cses-panel-collapse');
+        body.style.display = settings.panel.collapsed ? 'none' : '';
+        collapse.textContent = settings.panel.collapsed ? '▸' : '▾';
+        collapse.title = settings.panel.collapsed ? 'Expand panel' : 'Collapse panel';
+        collapse.setAttribute('aria-expanded', String(!settings.panel.collapsed));
+        panel.querySelector('#cses-show-overall').checked = settings.showOverall;
+        panel.querySelector('#cses-show-filtered').checked = settings.showFiltered;
+        panel.querySelector('#cses-color-scheme').value = settings.colorScheme;
+        panel.querySelector('#cses-concurrency').value = String(settings.concurrency);
+        panel.querySelector('#cses-debug').checked = settings.debug;
+        document.documentElement.classList.toggle('cses-hide-overall', !settings.showOverall);
+        document.documentElement.classList.toggle('cses-hide-filtered', !settings.showFiltered);
+        fetchScheduler.setConcurrency(settings.concurrency);
+        placePanel(panel);
+        renderLegend();
+        // Only repaint badges that exist; the first build happens once the cache is loaded
+        if (document.querySelector('.cses-section-stats')) {
+            findSections().forEach(updateSectionHeading);
+            updateFilteredSectionStats();
+        }
+    }
+    function initSettingsPanel(panel) {
+        const update = (change) => {
+            change(settings);
+            saveSettings(settings);
+            applyPanelSettings();
+        };
+        const settingsBox = panel.querySelector('#cses-settings');
+        const settingsToggle = panel.querySelector('#cses-settings-toggle');
+        settingsToggle.addEventListener('click', () => {
+            const open = settingsBox.style.display === 'none';
+            settingsBox.style.display = open ? '' : 'none';
+            settingsToggle.setAttribute('aria-expanded', String(open));
+            settingsToggle.title = open ? 'Hide settings' : 'Show settings';
+            if (open && settings.panel.collapsed)
+                update(s => { s.panel.collapsed = false; });
+        });
+        panel.querySelector('#cses-panel-collapse').addEventListener('click', () => update(s => { s.panel.collapsed = !s.panel.collapsed; }));
+        panel.querySelector('#cses-show-overall').addEventListener('change', e => update(s => { s.showOverall = e.target.checked; }));
+        panel.querySelector('#cses-show-filtered').addEventListener('change', e => update(s => { s.showFiltered = e.target.checked; }));
+        panel.querySelector('#cses-color-scheme').addEventListener('change', e => {
+            const v = e.target.value;
+            update(s => { if (v in COLOR_SCHEMES)
+                s.colorScheme = v; });
+        });
+        panel.querySelector('#cses-concurrency').addEventListener('change', e => {
+            const n = Number(e.target.value);
+            update(s => { if (n >= 1)
+                s.concurrency = Math.min(6, Math.round(n)); });
+        });
+        panel.querySelector('#cses-debug').addEventListener('change', e => update(s => { s.debug = e.target.checked; }));
+        panel.querySelector('#cses-reset-position').addEventListener('click', () => update(s => {
+            s.panel.left = DEFAULT_SETTINGS.panel.left;
+            s.panel.top = DEFAULT_SETTINGS.panel.top;
+        }));
+        const header = panel.querySelector('#cses-panel-header');
+        header.addEventListener('pointerdown', e => {
+            if (e.button !== 0 || e.target.closest('button'))
+                return;
+            const rect = panel.getBoundingClientRect();
+            const dx = e.clientX - rect.left, dy = e.clientY - rect.top;
+            const move = (ev) => {
+                settings.panel.left = Math.round(ev.clientX - dx);
+                settings.panel.top = Math.round(ev.clientY - dy);
+                placePanel(panel);
+            };
+            const up = () => {
+                window.removeEventListener('pointermove', move);
+                window.removeEventListener('pointerup', up);
+                saveSettings(settings);
+            };
+            window.addEventListener('pointermove', move);
+            window.addEventListener('pointerup', up);
+            e.preventDefault();
+        });
+        window.addEventListener('resize', () => placePanel(panel));
+        applyPanelSettings();
+    }
     async function fetchViewContent(url) {
         const resp = await fetch(url, { credentials: 'same-origin' });
         if (!resp.ok)
@@ -149,115 +1176,584 @@
             return await resp.text();
         }
     }
-    function getThresholdDate() {
-        const input = document.getElementById('cses-threshold-date');
+    function readDateInput(id) {
+        const input = document.getElementById(id);
         if (!input || !input.value)
             return null;
         const d = new Date(input.value + 'T00:00:00');
         return isNaN(d.getTime()) ? null : d;
     }
+    function getThresholdDate() {
+        return readDateInput('cses-threshold-date');
+    }
+    function getDateRange() {
+        const end = readDateInput('cses-threshold-date-to');
+        return { from: getThresholdDate(), to: end ? addDays(end, 1) : null };
+    }
+    function isInRange(date, range) {
+        return (!range.from || date >= range.from) && (!range.to || date < range.to);
+    }
+    /** A lone "from today" cutoff is the default state and means "show everything". */
+    function isUnfilteredRange(range) {
+        const todayMidnight = new Date();
+        todayMidnight.setHours(0, 0, 0, 0);
+        return !range.to && !!range.from && range.from.getTime() === todayMidnight.getTime();
+    }
+    function describeRange(range) {
+        const from = range.from ? toISODate(range.from) : null;
+        const to = range.to ? toISODate(addDays(range.to, -1)) : null;
+        if (from && to)
+            return `${from} – ${to}`;
+        if (from)
+            return `from ${from}`;
+        if (to)
+            return `until ${to}`;
+        return 'no range';
+    }
+    function saveDateRange() {
+        const from = document.getElementById('cses-threshold-date');
+        const to = document.getElementById('cses-threshold-date-to');
+        const preset = document.getElementById('cses-date-preset');
+        if (from)
+            localStorage.setItem(THRESHOLD_DATE_KEY, from.value);
+        if (to)
+            localStorage.setItem(THRESHOLD_DATE_TO_KEY, to.value);
+        if (preset)
+            localStorage.setItem(DATE_PRESET_KEY, preset.value);
+    }
+    /** Select a custom range (inclusive `YYYY-MM-DD` bounds, '' for open) and re-run the filter. */
+    function setDateRange(from, to) {
+        const fromInput = document.getElementById('cses-threshold-date');
+        const toInput = document.getElementById('cses-threshold-date-to');
+        const preset = document.getElementById('cses-date-preset');
+        if (!fromInput || !toInput)
+            return;
+        fromInput.value = from;
+        toInput.value = to;
+        if (preset)
+            preset.value = 'custom';
+        saveDateRange();
+        applyFilter();
+        buildSectionStats();
+    }
+    function isHistoricDisplay(v) {
+        return v === 'hide' || v === 'dim' || v === 'keep';
+    }
+    function getHistoricDisplay() {
+        const saved = localStorage.getItem(HISTORIC_DISPLAY_KEY);
+        return isHistoricDisplay(saved) ? saved : 'dim';
+    }
+    /**
+     * Draw an originally-solved icon as a recent or historic solve. Historic
+     * icons always carry `cses-historic`; only the `hide` display removes `full`.
+     */
+    function renderSolvedIcon(icon, historic, display = getHistoricDisplay()) {
+        icon.dataset.csesState = historic ? 'historic' : 'recent';
+        icon.classList.toggle('full', !historic || display !== 'hide');
+        icon.classList.toggle('cses-historic', historic);
+        icon.classList.toggle('cses-historic-dim', historic && display === 'dim');
+        // The spoken label names the display mode, so it changes with the bucket and with the display setting
+        labelSolvedIcon(icon, icon.classList.contains('cses-due'), display);
+    }
+    function resetSolvedIcon(icon) {
+        delete icon.dataset.csesState;
+        icon.classList.add('full');
+        icon.classList.remove('cses-historic', 'cses-historic-dim');
+        labelSolvedIcon(icon, icon.classList.contains('cses-due'));
+    }
+    function isDatePreset(v) {
+        return v === 'custom' || v === 'last7' || v === 'last30' || v === 'last90' || v === 'thisMonth';
+    }
+    /** Inclusive `[from, to]` input values for a preset, relative to today; null for `custom`. */
+    function presetRange(preset) {
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        switch (preset) {
+            case 'last7': return { from: toISODate(addDays(today, -6)), to: toISODate(today) };
+            case 'last30': return { from: toISODate(addDays(today, -29)), to: toISODate(today) };
+            case 'last90': return { from: toISODate(addDays(today, -89)), to: toISODate(today) };
+            case 'thisMonth': return { from: toISODate(new Date(today.getFullYear(), today.getMonth(), 1)), to: toISODate(today) };
+            default: return null;
+        }
+    }
+    function isDateMode(v) {
+        return v === 'lastSubmission' || v === 'lastAccepted' || v === 'firstAccepted';
+    }
+    function getDateMode() {
+        const select = document.getElementById('cses-date-mode');
+        if (select && isDateMode(select.value))
+            return select.value;
+        const saved = localStorage.getItem(DATE_MODE_KEY);
+        return isDateMode(saved) ? saved : 'lastSubmission';
+    }
+    /**
+     * Date compared against the cutoff under the given mode. Legacy (v1) cache
+     * entries carry no verdicts, so accepted modes fall back to the stored date.
+     */
+    function filterDate(meta, mode = getDateMode()) {
+        const legacy = meta.attempted && !meta.submissions.length;
+        if (mode === 'lastAccepted')
+            return legacy ? meta.date : meta.lastAccepted;
+        if (mode === 'firstAccepted')
+            return legacy ? meta.date : meta.firstAccepted;
+        return meta.date;
+    }
     function setStatus(msg) {
         const el = document.getElementById('cses-filter-status');
         if (el)
             el.textContent = msg;
     }
-    async function getSubmissionMeta(problemId) {
-        const cacheKey = CACHE_PREFIX + problemId;
-        const cached = localStorage.getItem(cacheKey);
-        if (cached) {
-            if (cached === 'NONE')
-                return { date: null, attempted: false };
-            const d = new Date(cached);
-            if (!isNaN(d.getTime()))
-                return { date: d, attempted: true };
+    async function fetchSubmissions(problemId) {
+        const url = `https://cses.fi/problemset/submit/${problemId}/`;
+        const resp = await fetch(url, { credentials: 'same-origin' });
+        if (!resp.ok)
+            throw new HttpError(resp.status, parseRetryAfter(resp.headers.get('retry-after')));
+        return parseSubmissionHistory(await resp.text());
+    }
+    /** Fetch, cache and return a problem's submissions (the unit of work run by the scheduler). */
+    async function fetchAndStore(problemId) {
+        const submissions = await fetchSubmissions(problemId);
+        await submissionStore.put(problemId, submissions);
+        updateCacheStatus();
+        const meta = buildSubmissionMeta(submissions);
+        syncReviewEntry(problemId, meta);
+        return meta;
+    }
+    /** How long a record with this meta stays fresh. */
+    function maxCacheAge(meta, ttl) {
+        return meta.lastAccepted ? ttl.solvedDays * 86400000 : ttl.unsolvedHours * 3600000;
+    }
+    function isStale(problemId, ttl = loadCacheTtl()) {
+        const rec = submissionStore.peekRecord(problemId);
+        const meta = submissionStore.peek(problemId);
+        if (!rec || !meta)
+            return false;
+        return Date.now() - rec.fetchedAt > maxCacheAge(meta, ttl);
+    }
+    /** The page shows a solved/wrong icon but the cache says we never submitted: the cache is certainly outdated. */
+    function cacheContradictsPage(meta, icon) {
+        return !!icon && !meta.attempted && (icon.dataset.originalSolved === '1' || icon.classList.contains('full') || icon.classList.contains('zero'));
+    }
+    /**
+     * Cached meta when available (stale entries are returned as-is and queued
+     * for background revalidation); otherwise fetch and cache the submit page.
+     */
+    async function getSubmissionMeta(problemId, icon, group = 'filter') {
+        await submissionStore.ready;
+        const cached = readCachedMeta(problemId);
+        if (cached && !cacheContradictsPage(cached, icon)) {
+            if (isStale(problemId))
+                revalidate(problemId);
+            syncReviewEntry(problemId, cached);
+            return cached;
         }
         try {
-            const url = `https://cses.fi/problemset/submit/${problemId}/`;
-            const resp = await fetch(url, { credentials: 'same-origin' });
-            if (!resp.ok)
-                throw new Error('HTTP ' + resp.status);
-            const text = await resp.text();
-            const date = extractLatestSubmissionDate(text);
-            if (date) {
-                localStorage.setItem(cacheKey, date.toISOString());
-                return { date, attempted: true };
-            }
-            else {
-                localStorage.setItem(cacheKey, 'NONE');
-                return { date: null, attempted: false };
-            }
+            return await fetchScheduler.schedule(problemId, group, () => fetchAndStore(problemId));
         }
         catch (e) {
-            console.error('Failed to fetch submissions for', problemId, e);
-            return { date: null, attempted: false };
+            if (!(e instanceof CancelledError))
+                console.error('Failed to fetch submissions for', problemId, e);
+            return EMPTY_META;
         }
     }
-    async function getLastSubmissionDate(problemId) {
-        const meta = await getSubmissionMeta(problemId);
-        return meta.date;
-    }
     async function refreshProblem(problemId, icon, forceRefetch = false) {
         if (forceRefetch)
-            localStorage.removeItem(CACHE_PREFIX + problemId);
-        const date = await getLastSubmissionDate(problemId);
-        const threshold = getThresholdDate();
-        if (icon) {
-            if (icon.classList.contains('full'))
-                icon.dataset.originalSolved = '1';
-            if (date && threshold && date < threshold) {
-                if (icon.classList.contains('full'))
-                    icon.classList.remove('full');
-                icon.title = `Hidden (old solve): last submission ${date.toLocaleString()}`;
-            }
-            else if (date) {
-                if (!icon.classList.contains('full'))
-                    icon.classList.add('full');
-                icon.title = `Last submission ${date.toLocaleString()}`;
+            await submissionStore.remove(problemId);
+        const row = icon && icon.closest('li.task');
+        if (row)
+            problemStates.track(row);
+        await getSubmissionMeta(problemId, icon, forceRefetch ? 'manual' : 'filter');
+        onProblemUpdated(problemId);
+    }
+    /** Redraw the icons of changed problems, then the section badges once; runs once per frame. */
+    function renderProblemChanges(ids) {
+        const { range, mode } = problemStates.currentFilter();
+        const display = getHistoricDisplay();
+        mutateDom(() => {
+            ids.forEach(id => {
+                const st = problemStates.get(id);
+                if (!st || !st.pageSolved)
+                    return;
+                st.rows.forEach(li => {
+                    const icon = li.querySelector('span.task-score.icon');
+                    if (!icon)
+                        return;
+                    icon.setAttribute('data-problem-id', id);
+                    if (st.date) {
+                        renderSolvedIcon(icon, st.bucket === 'historic', display);
+                        icon.title = st.bucket === 'historic'
+                            ? `Historic solve (outside ${describeRange(range)}): ${DATE_MODE_LABELS[mode]} ${st.date.toLocaleString()}`
+                            : `${capitalize(DATE_MODE_LABELS[mode])} ${st.date.toLocaleString()}`;
+                    }
+                    else
+                        resetSolvedIcon(icon);
+                    applyReviewMark(icon, id);
+                });
+            });
+            if (/\/problemset\/list\/?/.test(location.pathname)) {
+                // Only the sections holding a changed problem are recounted; the General totals reuse the rest
+                const lists = new Set();
+                ids.forEach(id => { var _a; return (_a = problemStates.get(id)) === null || _a === void 0 ? void 0 : _a.rows.forEach(li => { if (li.parentElement)
+                    lists.add(li.parentElement); }); });
+                findSections().forEach(section => { if (section.list && lists.has(section.list))
+                    updateSectionHeading(section); });
+                updateFilteredSectionStats(lists);
             }
+        });
+        scheduleReviewRender();
+    }
+    let domObserver = null;
+    /** Run this script's own DOM writes and drop the mutation records they caused, so the observer only sees external changes. */
+    function mutateDom(fn) {
+        try {
+            fn();
         }
-        if (/\/problemset\/list\/?/.test(location.pathname))
-            updateFilteredSectionStats();
+        finally {
+            if (domObserver)
+                domObserver.takeRecords();
+        }
+    }
+    class HttpError extends Error {
+        constructor(status, retryAfterMs) {
+            super('HTTP ' + status);
+            this.status = status;
+            this.retryAfterMs = retryAfterMs;
+        }
+    }
+    class CancelledError extends Error {
+        constructor() { super('Cancelled'); }
+    }
+    /** `Retry-After` as milliseconds (delta-seconds or HTTP date); null when absent or unreadable. */
+    function parseRetryAfter(value) {
+        if (!value)
+            return null;
+        const secs = Number(value);
+        if (Number.isFinite(secs))
+            return Math.max(0, secs * 1000);
+        const at = Date.parse(value);
+        return isNaN(at) ? null : Math.max(0, at - Date.now());
     }
-    class TaskQueue {
-        constructor(concurrency = 3) {
+    /**
+     * Single network scheduler shared by every caller. It enforces a global
+     * budget (max concurrent requests plus a minimum gap between request
+     * starts), retries HTTP 429/5xx and network errors with exponential backoff
+     * (honouring `Retry-After`; a 429 pauses all requests), deduplicates work by
+     * key and lets a caller group drop its queued work.
+     */
+    class FetchScheduler {
+        constructor(concurrency = 3, minGapMs = 250, maxRetries = 4, baseDelayMs = 1000) {
+            this.concurrency = concurrency;
+            this.minGapMs = minGapMs;
+            this.maxRetries = maxRetries;
+            this.baseDelayMs = baseDelayMs;
+            this.queue = [];
+            this.jobs = new Map();
+            /** Jobs waiting out a retry backoff, with their timer. */
+            this.retrying = new Map();
             this.running = 0;
-            this.q = [];
-            this.c = concurrency;
+            this.lastStart = 0;
+            this.pausedUntil = 0;
+            this.timer = null;
+            this.done = 0;
+            this.failed = 0;
+            this.retries = 0;
+            this.onChange = null;
         }
-        push(task) { this.q.push(task); this.run(); }
-        run() {
-            while (this.running < this.c && this.q.length) {
-                const t = this.q.shift();
+        /** Queue `run` under `key`; a pending job with the same key is shared instead of duplicated. */
+        schedule(key, group, run, priority = 'high') {
+            const existing = this.jobs.get(key);
+            if (existing) {
+                existing.groups.add(group);
+                if (priority === 'high' && existing.priority === 'low') {
+                    existing.priority = 'high';
+                    const idx = this.queue.indexOf(existing);
+                    if (idx >= 0) {
+                        this.queue.splice(idx, 1);
+                        this.enqueue(existing);
+                    }
+                }
+                return existing.promise;
+            }
+            let resolve, reject;
+            const promise = new Promise((res, rej) => { resolve = res; reject = rej; });
+            const job = { key, groups: new Set([group]), priority, attempt: 0, run, promise, resolve, reject };
+            this.jobs.set(key, job);
+            this.enqueue(job);
+            this.pump();
+            return promise;
+        }
+        /** Drop queued or retrying work that only `group` still wants. In-flight requests finish and are cached. */
+        cancel(group) {
+            let dropped = 0;
+            const drop = (job) => {
+                job.groups.delete(group);
+                if (job.groups.size)
+                    return false;
+                this.jobs.delete(job.key);
+                job.reject(new CancelledError());
+                dropped++;
+                return true;
+            };
+            this.queue = this.queue.filter(job => !drop(job));
+            this.retrying.forEach((timer, job) => {
+                if (!drop(job))
+                    return;
+                window.clearTimeout(timer);
+                this.retrying.delete(job);
+            });
+            if (dropped)
+                this.changed();
+            return dropped;
+        }
+        setConcurrency(n) {
+            this.concurrency = n;
+            this.pump();
+        }
+        get pending() { return this.queue.length; }
+        get active() { return this.running; }
+        describe() {
+            const parts = [];
+            if (this.running || this.queue.length)
+                parts.push(`${this.running} active, ${this.queue.length} queued`);
+            if (this.retries)
+                parts.push(`${this.retries} retr${this.retries === 1 ? 'y' : 'ies'}`);
+            if (this.failed)
+                parts.push(`${this.failed} failed`);
+            const wait = this.pausedUntil - Date.now();
+            if (wait > 0)
+                parts.push(`rate-limited, resuming in ${Math.ceil(wait / 1000)}s`);
+            return parts.join(', ');
+        }
+        enqueue(job) {
+            if (job.priority === 'high') {
+                const firstLow = this.queue.findIndex(j => j.priority === 'low');
+                if (firstLow >= 0) {
+                    this.queue.splice(firstLow, 0, job);
+                    return;
+                }
+            }
+            this.queue.push(job);
+        }
+        changed() {
+            if (this.onChange)
+                this.onChange();
+        }
+        wake(delay) {
+            if (this.timer !== null)
+                return;
+            this.timer = window.setTimeout(() => { this.timer = null; this.pump(); }, Math.max(0, delay));
+        }
+        pump() {
+            while (this.running < this.concurrency && this.queue.length) {
+                const now = Date.now();
+                const wait = Math.max(this.pausedUntil - now, this.lastStart + this.minGapMs - now);
+                if (wait > 0) {
+                    this.wake(wait);
+                    break;
+                }
+                const job = this.queue.shift();
                 this.running++;
-                Promise.resolve().then(t).catch(() => { }).finally(() => { this.running--; this.run(); });
+                this.lastStart = now;
+                job.run().then(value => {
+                    this.jobs.delete(job.key);
+                    this.done++;
+                    job.resolve(value);
+                }, err => this.handleError(job, err)).finally(() => {
+                    this.running--;
+                    this.changed();
+                    this.pump();
+                });
             }
+            this.changed();
+        }
+        handleError(job, err) {
+            const status = err instanceof HttpError ? err.status : null;
+            const retryable = status === null ? err instanceof TypeError : status === 429 || status >= 500;
+            if (!retryable || job.attempt >= this.maxRetries) {
+                this.jobs.delete(job.key);
+                this.failed++;
+                job.reject(err);
+                return;
+            }
+            job.attempt++;
+            this.retries++;
+            const backoff = this.baseDelayMs * 2 ** (job.attempt - 1) * (1 + Math.random() * 0.25);
+            const delay = err instanceof HttpError && err.retryAfterMs !== null ? err.retryAfterMs : backoff;
+            if (status === 429)
+                this.pausedUntil = Math.max(this.pausedUntil, Date.now() + delay);
+            console.warn(`[CSES Filter][RETRY] ${job.key} attempt ${job.attempt}/${this.maxRetries} in ${Math.round(delay)}ms`, err);
+            this.retrying.set(job, window.setTimeout(() => {
+                this.retrying.delete(job);
+                if (!this.jobs.has(job.key))
+                    return;
+                this.queue.unshift(job);
+                this.pump();
+            }, delay));
         }
     }
+    const fetchScheduler = new FetchScheduler(settings.concurrency);
+    fetchScheduler.onChange = () => updateCacheStatus();
+    let filterGeneration = 0;
     async function init() {
         const path = location.pathname;
         if (!/\/problemset\//.test(path))
             return;
+        ensureFilterStyles();
         const panel = createUI();
+        // A shared profile link applies its settings before the controls read them
+        const shared = location.hash.startsWith(PROFILE_HASH_PREFIX) ? decodeProfile(location.hash) : null;
+        if (shared) {
+            writeProfileSettings(shared);
+            localStorage.setItem(ACTIVE_PROFILE_KEY, '');
+            history.replaceState(null, '', location.pathname + location.search);
+        }
         const dateInput = panel.querySelector('#cses-threshold-date');
+        const dateToInput = panel.querySelector('#cses-threshold-date-to');
+        const presetSelect = panel.querySelector('#cses-date-preset');
         const saved = localStorage.getItem(THRESHOLD_DATE_KEY);
         const today = toISODate(new Date());
         dateInput.value = saved || today;
-        dateInput.addEventListener('change', () => {
-            localStorage.setItem(THRESHOLD_DATE_KEY, dateInput.value);
+        dateToInput.value = localStorage.getItem(THRESHOLD_DATE_TO_KEY) || '';
+        const savedPreset = localStorage.getItem(DATE_PRESET_KEY);
+        presetSelect.value = isDatePreset(savedPreset) ? savedPreset : 'custom';
+        // Relative presets roll forward with the calendar, so recompute them on every load
+        const initialPreset = presetRange(presetSelect.value);
+        if (initialPreset) {
+            dateInput.value = initialPreset.from;
+            dateToInput.value = initialPreset.to;
+        }
+        const onRangeInput = () => {
+            presetSelect.value = 'custom';
+            saveDateRange();
+            applyFilter();
+            buildSectionStats();
+        };
+        dateInput.addEventListener('change', onRangeInput);
+        dateToInput.addEventListener('change', onRangeInput);
+        presetSelect.addEventListener('change', () => {
+            const r = presetRange(presetSelect.value);
+            if (r) {
+                dateInput.value = r.from;
+                dateToInput.value = r.to;
+            }
+            saveDateRange();
             applyFilter();
             buildSectionStats();
         });
+        const ttlSolvedInput = panel.querySelector('#cses-ttl-solved');
+        const ttlUnsolvedInput = panel.querySelector('#cses-ttl-unsolved');
+        const ttl = loadCacheTtl();
+        ttlSolvedInput.value = String(ttl.solvedDays);
+        ttlUnsolvedInput.value = String(ttl.unsolvedHours);
+        const onTtlChange = () => {
+            const current = loadCacheTtl();
+            const solvedDays = Number(ttlSolvedInput.value), unsolvedHours = Number(ttlUnsolvedInput.value);
+            const next = {
+                solvedDays: solvedDays > 0 ? solvedDays : current.solvedDays,
+                unsolvedHours: unsolvedHours > 0 ? unsolvedHours : current.unsolvedHours
+            };
+            ttlSolvedInput.value = String(next.solvedDays);
+            ttlUnsolvedInput.value = String(next.unsolvedHours);
+            saveCacheTtl(next);
+            updateCacheStatus();
+            applyFilter();
+            buildSectionStats();
+        };
+        ttlSolvedInput.addEventListener('change', onTtlChange);
+        ttlUnsolvedInput.addEventListener('change', onTtlChange);
+        const reviewToggle = panel.querySelector('#cses-review-mode');
+        const reviewIntervalsInput = panel.querySelector('#cses-review-intervals');
+        reviewToggle.checked = isReviewMode();
+        reviewIntervalsInput.value = loadReviewIntervals().join(', ');
+        const onReviewChange = () => {
+            localStorage.setItem(REVIEW_MODE_KEY, reviewToggle.checked ? '1' : '0');
+            const intervals = parseIntervals(reviewIntervalsInput.value);
+            if (intervals)
+                localStorage.setItem(REVIEW_INTERVALS_KEY, intervals.join(','));
+            reviewIntervalsInput.value = loadReviewIntervals().join(', ');
+            collectSolved().forEach(icon => {
+                const pid = icon.getAttribute('data-problem-id') || extractProblemId(icon);
+                if (pid)
+                    applyReviewMark(icon, pid);
+            });
+            renderReviewQueue();
+        };
+        reviewToggle.addEventListener('change', onReviewChange);
+        reviewIntervalsInput.addEventListener('change', onReviewChange);
+        const dailyGoalInput = panel.querySelector('#cses-daily-goal');
+        dailyGoalInput.value = String(loadDailyGoal());
+        dailyGoalInput.addEventListener('change', () => {
+            const n = Number(dailyGoalInput.value);
+            if (n >= 1)
+                localStorage.setItem(DAILY_GOAL_KEY, String(Math.round(n)));
+            dailyGoalInput.value = String(loadDailyGoal());
+            renderStreak();
+        });
+        const historicSelect = panel.querySelector('#cses-historic-display');
+        historicSelect.value = getHistoricDisplay();
+        historicSelect.addEventListener('change', () => {
+            localStorage.setItem(HISTORIC_DISPLAY_KEY, historicSelect.value);
+            const display = getHistoricDisplay();
+            collectSolved().forEach(icon => {
+                if (icon.dataset.csesState)
+                    renderSolvedIcon(icon, icon.dataset.csesState === 'historic', display);
+            });
+            updateFilteredSectionStats();
+        });
+        const modeSelect = panel.querySelector('#cses-date-mode');
+        modeSelect.value = getDateMode();
+        modeSelect.addEventListener('change', () => {
+            localStorage.setItem(DATE_MODE_KEY, modeSelect.value);
+            applyFilter();
+            buildSectionStats();
+        });
+        panel.querySelector('#cses-export-json').addEventListener('click', () => {
+            const problems = collectExportData();
+            downloadFile(`cses-progress-${toISODate(new Date())}.json`, toJsonExport(problems), 'application/json');
+            setStatus(`Exported ${problems.length} problems as JSON.`);
+        });
+        panel.querySelector('#cses-export-csv').addEventListener('click', () => {
+            const problems = collectExportData();
+            downloadFile(`cses-progress-${toISODate(new Date())}.csv`, toCsv(problems), 'text/csv');
+            setStatus(`Exported ${problems.length} problems as CSV.`);
+        });
+        const importInput = panel.querySelector('#cses-import-file');
+        panel.querySelector('#cses-import').addEventListener('click', () => importInput.click());
+        importInput.addEventListener('change', async () => {
+            const file = importInput.files && importInput.files[0];
+            importInput.value = '';
+            if (!file)
+                return;
+            try {
+                const text = await file.text();
+                const csv = /\.csv$/i.test(file.name) || !text.trim().startsWith('{');
+                // CSV placeholders must not be mixed into a real cached history
+                const parsed = csv ? parseCsvImport(text) : parseJsonImport(text);
+                const records = csv ? parsed.filter(r => !submissionStore.peekRecord(r.id)) : parsed;
+                const changed = await submissionStore.merge(records);
+                const skipped = parsed.length - records.length;
+                setStatus(`Imported ${records.length} problems from ${file.name} (${changed} updated${skipped ? `, ${skipped} already cached` : ''}).`);
+                updateCacheStatus();
+                applyFilter();
+                buildSectionStats();
+            }
+            catch (e) {
+                console.error('[CSES Filter] Import failed', e);
+                setStatus(`Import failed: ${e instanceof Error ? e.message : String(e)}`);
+            }
+        });
         panel.querySelector('#cses-clear-cache').addEventListener('click', () => {
             if (!confirm('Clear cached submission timestamps?'))
                 return;
-            let cleared = 0;
-            Object.keys(localStorage).forEach(k => { if (k.startsWith(CACHE_PREFIX)) {
-                localStorage.removeItem(k);
-                cleared++;
-            } });
-            setStatus(`Cleared ${cleared} cached entries.`);
-            applyFilter(true);
-            buildSectionStats();
+            submissionStore.clear().then(cleared => {
+                setStatus(`Cleared ${cleared} cached entries.`);
+                // The store is already empty, so a plain pass refetches everything without removing (and announcing) each problem again
+                applyFilter();
+                buildSectionStats();
+            }).catch(e => {
+                console.error('[CSES Filter] Failed to clear cache', e);
+                setStatus('Failed to clear cache.');
+            });
         });
         document.addEventListener('click', (e) => {
             if (!(e instanceof MouseEvent) || !e.altKey)
@@ -275,11 +1771,15 @@
                 e.stopPropagation();
             }
         });
-        const mo = new MutationObserver(muts => {
+        problemStates.scan();
+        problemStates.subscribe(renderProblemChanges);
+        // The script's own writes go through mutateDom, so these records come from the page or other scripts
+        domObserver = new MutationObserver(muts => {
             muts.forEach(m => {
                 if (m.type === 'attributes' && m.attributeName === 'class') {
                     const el = m.target;
-                    if (el && el.classList.contains('task-score') && el.classList.contains('full')) {
+                    // Icons already known as solved only change style; only a newly solved icon needs a refetch
+                    if (el && el.classList.contains('task-score') && el.classList.contains('full') && el.dataset.originalSolved !== '1') {
                         const pid = el.getAttribute('data-problem-id') || extractProblemId(el);
                         if (pid) {
                             el.dataset.originalSolved = '1';
@@ -290,8 +1790,15 @@
                 else if (m.addedNodes && m.addedNodes.length) {
                     m.addedNodes.forEach(n => {
                         if (n instanceof HTMLElement) {
+                            const rows = n.matches('li.task') ? [n] : Array.from(n.querySelectorAll('li.task'));
+                            const added = rows.map(li => problemStates.track(li)).filter((id) => !!id);
+                            if (added.length)
+                                problemStates.invalidate(added);
                             const icons = (n.matches && n.matches('span.task-score.icon.full')) ? [n] : Array.from(n.querySelectorAll('span.task-score.icon.full'));
                             icons.forEach(ic => {
+                                // Known solved icons are only being moved (e.g. by the task sort), not newly solved
+                                if (ic.dataset.originalSolved === '1')
+                                    return;
                                 const pid = ic.getAttribute('data-problem-id') || extractProblemId(ic);
                                 if (pid) {
                                     ic.dataset.originalSolved = '1';
@@ -303,15 +1810,320 @@
                 }
             });
         });
-        mo.observe(document.documentElement, { subtree: true, childList: true, attributes: true, attributeFilter: ['class'] });
+        domObserver.observe(document.documentElement, { subtree: true, childList: true, attributes: true, attributeFilter: ['class'] });
+        initSettingsPanel(panel);
+        initProfiles(panel);
+        if (shared)
+            setStatus(`Loaded shared profile "${shared.name}". Use Save to keep it.`);
+        initHistoryPopover();
+        initShortcuts();
+        initCrossTabSync();
+        await submissionStore.ready;
+        updateCacheStatus();
+        renderStreak();
+        const taskId = taskPageProblemId();
+        if (taskId) {
+            renderTaskBanner();
+            renderCodeDiff();
+            if (!readCachedMeta(taskId))
+                getSubmissionMeta(taskId, null, 'manual').then(meta => renderTaskBanner(meta));
+        }
+        createTaskToolbar();
+        renderAnnotations();
         applyFilter();
         buildSectionStats();
         if (/\/problemset\/result\//.test(path) || /\/problemset\/view\//.test(path)) {
-            enhanceResultCopyButtons();
-            const mo2 = new MutationObserver(() => enhanceResultCopyButtons());
+            // True once the test details are enhanced and the judged submission recorded; nothing is left to wait for then
+            const enhance = () => {
+                enhanceResultCopyButtons();
+                const tested = enhanceResultTests();
+                recordResultPage();
+                return tested && recordedResult !== null;
+            };
+            if (enhance())
+                return;
+            // One pass per frame for page changes only; the buttons and panels added here are not a reason to look again
+            let pending = false;
+            const mo2 = new MutationObserver(records => {
+                if (pending || records.every(isScriptMutation))
+                    return;
+                pending = true;
+                requestFrame(() => {
+                    pending = false;
+                    if (enhance())
+                        mo2.disconnect();
+                });
+            });
             mo2.observe(document.body, { childList: true, subtree: true });
         }
     }
+    /**
+     * Re-read the given settings keys from localStorage into the panel controls and re-render
+     * what depends on them. Used for changes made outside this tab's controls (other tabs, profiles).
+     */
+    function reloadSettings(keys) {
+        const panel = document.getElementById('cses-filter-panel');
+        if (!panel)
+            return;
+        const input = (id) => panel.querySelector('#' + id);
+        let refilter = false;
+        if (keys.has(THRESHOLD_DATE_KEY) || keys.has(THRESHOLD_DATE_TO_KEY) || keys.has(DATE_PRESET_KEY)) {
+            input('cses-threshold-date').value = localStorage.getItem(THRESHOLD_DATE_KEY) || toISODate(new Date());
+            input('cses-threshold-date-to').value = localStorage.getItem(THRESHOLD_DATE_TO_KEY) || '';
+            const preset = localStorage.getItem(DATE_PRESET_KEY);
+            panel.querySelector('#cses-date-preset').value = isDatePreset(preset) ? preset : 'custom';
+            refilter = true;
+        }
+        if (keys.has(DATE_MODE_KEY)) {
+            const mode = localStorage.getItem(DATE_MODE_KEY);
+            panel.querySelector('#cses-date-mode').value = isDateMode(mode) ? mode : 'lastSubmission';
+            refilter = true;
+        }
+        if (keys.has(CACHE_TTL_KEY)) {
+            const ttl = loadCacheTtl();
+            input('cses-ttl-solved').value = String(ttl.solvedDays);
+            input('cses-ttl-unsolved').value = String(ttl.unsolvedHours);
+            updateCacheStatus();
+        }
+        if (keys.has(REVIEW_STATE_KEY))
+            mergeReviewState(loadReviewState());
+        if (keys.has(REVIEW_MODE_KEY) || keys.has(REVIEW_INTERVALS_KEY) || keys.has(REVIEW_STATE_KEY)) {
+            input('cses-review-mode').checked = isReviewMode();
+            input('cses-review-intervals').value = loadReviewIntervals().join(', ');
+            refreshReviewMarks();
+        }
+        if (keys.has(HISTORIC_DISPLAY_KEY)) {
+            const display = getHistoricDisplay();
+            panel.querySelector('#cses-historic-display').value = display;
+            collectSolved().forEach(icon => {
+                if (icon.dataset.csesState)
+                    renderSolvedIcon(icon, icon.dataset.csesState === 'historic', display);
+            });
+        }
+        if (refilter) {
+            applyFilter();
+            buildSectionStats();
+        }
+        else if (keys.has(EXCLUDED_SECTIONS_KEY) || keys.has(HISTORIC_DISPLAY_KEY)) {
+            findSections().forEach(section => { if (section.list)
+                addSectionToggle(section); });
+            updateFilteredSectionStats();
+        }
+        // Notes change the tag list and which rows match the tag filter
+        if (keys.has(TASK_VIEW_KEY) || keys.has(NOTES_KEY))
+            setTaskToolbarControls(taskView);
+        if (keys.has(NOTES_KEY)) {
+            renderAnnotations();
+            renderTaskBanner();
+        }
+        if (keys.has(PROFILES_KEY) || keys.has(ACTIVE_PROFILE_KEY))
+            renderProfileSelect();
+        if (keys.has(DAILY_GOAL_KEY)) {
+            input('cses-daily-goal').value = String(loadDailyGoal());
+            renderStreak();
+        }
+        if (keys.has(SECTION_GOALS_KEY)) {
+            sectionGoals = loadSectionGoals();
+            updateFilteredSectionStats();
+        }
+        if (keys.has(SETTINGS_KEY)) {
+            Object.assign(settings, loadSettings());
+            applyPanelSettings();
+        }
+    }
+    /** Snapshot of the panel and toolbar as a profile named `name`. */
+    function captureProfile(name) {
+        const value = (id) => { var _a; return ((_a = document.getElementById(id)) === null || _a === void 0 ? void 0 : _a.value) || ''; };
+        const preset = value('cses-date-preset');
+        return {
+            name,
+            from: value('cses-threshold-date'),
+            to: value('cses-threshold-date-to'),
+            preset: isDatePreset(preset) ? preset : 'custom',
+            mode: getDateMode(),
+            excluded: Array.from(loadExcludedSections()),
+            historic: getHistoricDisplay(),
+            view: taskView
+        };
+    }
+    /** Write a profile's settings to localStorage; returns the keys that were written. */
+    function writeProfileSettings(p) {
+        const range = presetRange(p.preset) || { from: p.from, to: p.to };
+        localStorage.setItem(THRESHOLD_DATE_KEY, range.from || toISODate(new Date()));
+        localStorage.setItem(THRESHOLD_DATE_TO_KEY, range.to);
+        localStorage.setItem(DATE_PRESET_KEY, p.preset);
+        localStorage.setItem(DATE_MODE_KEY, p.mode);
+        localStorage.setItem(HISTORIC_DISPLAY_KEY, p.historic);
+        saveExcludedSections(new Set(p.excluded));
+        saveTaskView(p.view);
+        return new Set([THRESHOLD_DATE_KEY, THRESHOLD_DATE_TO_KEY, DATE_PRESET_KEY, DATE_MODE_KEY, HISTORIC_DISPLAY_KEY, EXCLUDED_SECTIONS_KEY, TASK_VIEW_KEY]);
+    }
+    function applyProfile(p, active) {
+        const keys = writeProfileSettings(p);
+        localStorage.setItem(ACTIVE_PROFILE_KEY, active);
+        keys.add(ACTIVE_PROFILE_KEY);
+        reloadSettings(keys);
+    }
+    function renderProfileSelect() {
+        const select = document.getElementById('cses-profile');
+        if (!select)
+            return;
+        const profiles = loadProfiles();
+        const active = localStorage.getItem(ACTIVE_PROFILE_KEY) || '';
+        select.replaceChildren();
+        const none = document.createElement('option');
+        none.value = '';
+        none.textContent = profiles.length ? '(unsaved)' : '(no profiles)';
+        select.appendChild(none);
+        profiles.forEach(p => {
+            const opt = document.createElement('option');
+            opt.value = p.name;
+            opt.textContent = p.name;
+            select.appendChild(opt);
+        });
+        select.value = profiles.some(p => p.name === active) ? active : '';
+    }
+    function initProfiles(panel) {
+        const select = panel.querySelector('#cses-profile');
+        const setActive = (name) => {
+            localStorage.setItem(ACTIVE_PROFILE_KEY, name);
+            renderProfileSelect();
+        };
+        renderProfileSelect();
+        select.addEventListener('change', () => {
+            const p = loadProfiles().find(x => x.name === select.value);
+            if (!p) {
+                setActive('');
+                return;
+            }
+            applyProfile(p, p.name);
+            setStatus(`Switched to profile "${p.name}".`);
+        });
+        panel.querySelector('#cses-profile-save').addEventListener('click', () => {
+            const name = (prompt('Save the current filters as profile:', select.value) || '').trim();
+            if (!name)
+                return;
+            const profiles = loadProfiles();
+            const at = profiles.findIndex(p => p.name === name);
+            if (at >= 0 && name !== select.value && !confirm(`Overwrite profile "${name}"?`))
+                return;
+            const snapshot = captureProfile(name);
+            if (at >= 0)
+                profiles[at] = snapshot;
+            else
+                profiles.push(snapshot);
+            saveProfiles(profiles);
+            setActive(name);
+            setStatus(`Saved profile "${name}".`);
+        });
+        panel.querySelector('#cses-profile-rename').addEventListener('click', () => {
+            const profiles = loadProfiles();
+            const p = profiles.find(x => x.name === select.value);
+            if (!p) {
+                setStatus('Select a profile to rename.');
+                return;
+            }
+            const name = (prompt('Rename profile:', p.name) || '').trim();
+            if (!name || name === p.name)
+                return;
+            if (profiles.some(x => x.name === name)) {
+                setStatus(`A profile named "${name}" already exists.`);
+                return;
+            }
+            p.name = name;
+            saveProfiles(profiles);
+            setActive(name);
+        });
+        panel.querySelector('#cses-profile-delete').addEventListener('click', () => {
+            const name = select.value;
+            if (!name) {
+                setStatus('Select a profile to delete.');
+                return;
+            }
+            if (!confirm(`Delete profile "${name}"?`))
+                return;
+            saveProfiles(loadProfiles().filter(p => p.name !== name));
+            setActive('');
+            setStatus(`Deleted profile "${name}".`);
+        });
+        panel.querySelector('#cses-profile-share').addEventListener('click', async () => {
+            const link = location.origin + '/problemset/list/' + PROFILE_HASH_PREFIX + encodeProfile(captureProfile(select.value || 'Shared view'));
+            try {
+                await navigator.clipboard.writeText(link);
+                setStatus('Profile link copied to clipboard.');
+            }
+            catch {
+                prompt('Copy this profile link:', link);
+            }
+        });
+        panel.querySelector('#cses-profile-load').addEventListener('click', () => {
+            const text = prompt('Paste a profile link or code:');
+            if (!text)
+                return;
+            const p = decodeProfile(text);
+            if (!p) {
+                setStatus('That is not a valid profile link or code.');
+                return;
+            }
+            const profiles = loadProfiles();
+            let name = p.name;
+            for (let i = 2; profiles.some(x => x.name === name); i++)
+                name = `${p.name} (${i})`;
+            profiles.push({ ...p, name });
+            saveProfiles(profiles);
+            applyProfile(p, name);
+            setStatus(`Loaded profile "${name}".`);
+        });
+    }
+    /**
+     * Keep this tab in step with other open CSES tabs: settings arrive as `storage` events,
+     * cache writes through the store's BroadcastChannel. Bursts are coalesced into one re-render.
+     */
+    function initCrossTabSync() {
+        const changedKeys = new Set();
+        let settingsTimer = null;
+        const applySettings = () => {
+            settingsTimer = null;
+            const keys = new Set(changedKeys);
+            changedKeys.clear();
+            reloadSettings(keys);
+        };
+        window.addEventListener('storage', e => {
+            if (e.storageArea !== localStorage || !e.key)
+                return;
+            if (e.key.startsWith(CACHE_PREFIX) && e.key !== CACHE_VERSION_KEY) {
+                // A tab still running a pre-IndexedDB version wrote a legacy entry; fold it into the store
+                const rec = storedFromLegacy(e.key.slice(CACHE_PREFIX.length), e.newValue || '');
+                if (rec)
+                    submissionStore.ready.then(() => submissionStore.merge([rec])).then(n => { if (n)
+                        onProblemUpdated(rec.id); });
+                return;
+            }
+            // The task toolbar view is deliberately per tab
+            if (!e.key.startsWith('cses:') || e.key === TASK_VIEW_KEY)
+                return;
+            changedKeys.add(e.key);
+            if (settingsTimer !== null)
+                window.clearTimeout(settingsTimer);
+            settingsTimer = window.setTimeout(applySettings, 50);
+        });
+        submissionStore.onExternalChange = ids => {
+            updateCacheStatus();
+            if (!ids) {
+                setStatus('Cache cleared in another tab.');
+                problemStates.invalidate();
+                applyFilter();
+                buildSectionStats();
+                return;
+            }
+            // A deletion is the first half of a refetch in the other tab; wait for its write instead of fetching here too
+            ids.filter(id => submissionStore.peekRecord(id)).forEach(onProblemUpdated);
+        };
+        submissionStore.onExternalReview = ids => {
+            if (mergeReviewState(loadReviewState(), ids).length)
+                refreshReviewMarks();
+        };
+    }
     function collectSolved() {
         const nodes = Array.from(document.querySelectorAll('span.task-score.icon'));
         nodes.forEach(n => { if (n.classList.contains('full'))
@@ -341,17 +2153,335 @@
         const text = (link && link.childNodes && Array.from(link.childNodes).filter((n) => n.nodeType === 3).map((n) => n.textContent).join('').trim()) || 'Unknown';
         return text;
     }
-    const sectionQueue = new TaskQueue(2);
-    function getHeadingTitle(heading) {
+    const revalidating = new Set();
+    function revalidate(problemId) {
+        if (revalidating.has(problemId))
+            return;
+        revalidating.add(problemId);
+        updateCacheStatus();
+        fetchScheduler.schedule(problemId, 'revalidate', () => fetchAndStore(problemId), 'low')
+            .then(() => onProblemUpdated(problemId))
+            .catch(e => { if (!(e instanceof CancelledError))
+            console.warn('[CSES Filter][REVALIDATE] Failed for', problemId, e); })
+            .finally(() => {
+            revalidating.delete(problemId);
+            updateCacheStatus();
+        });
+    }
+    /** Re-render icons and badges after a problem's cached record changed. */
+    function onProblemUpdated(problemId) {
+        problemStates.invalidate([problemId]);
+        if (problemId === taskPageProblemId())
+            renderTaskBanner();
+    }
+    function updateCacheStatus() {
+        const el = document.getElementById('cses-cache-status');
+        if (!el)
+            return;
+        const ttl = loadCacheTtl();
+        const ids = submissionStore.ids();
+        const stale = ids.filter(id => isStale(id, ttl)).length;
+        const network = fetchScheduler.describe();
+        el.textContent = `Cache: ${ids.length} entries, ${stale} stale` + (revalidating.size ? `, revalidating ${revalidating.size}.` : '.') + (network ? ` Network: ${network}.` : '');
+    }
+    const reviewState = loadReviewState();
+    const unsavedReviewIds = new Set();
+    let reviewSaveTimer = null;
+    /** The entry that saw the later accepted submission, or the higher stage for the same one. */
+    function newerReviewEntry(a, b) {
+        if (!a || !b)
+            return a || b;
+        if (a.lastAccepted !== b.lastAccepted)
+            return a.lastAccepted > b.lastAccepted ? a : b;
+        return a.stage >= b.stage ? a : b;
+    }
+    /** Fold entries saved by other tabs into `reviewState` one by one; returns the ids that changed here. */
+    function mergeReviewState(saved, ids = Object.keys(saved)) {
+        const changed = [];
+        for (const id of ids) {
+            const next = newerReviewEntry(reviewState[id], saved[id]);
+            if (next && next !== reviewState[id]) {
+                reviewState[id] = next;
+                changed.push(id);
+            }
+        }
+        return changed;
+    }
+    /** Write our changed entries over a fresh read, so progress saved by another tab in the meantime survives. */
+    function saveReviewProgress() {
+        reviewSaveTimer = null;
+        const saved = loadReviewState();
+        mergeReviewState(saved);
+        const ids = Array.from(unsavedReviewIds);
+        unsavedReviewIds.clear();
+        ids.forEach(id => { if (reviewState[id])
+            saved[id] = reviewState[id]; });
+        saveReviewState(saved);
+        submissionStore.announceReview(ids);
+    }
+    function isReviewMode() {
+        return localStorage.getItem(REVIEW_MODE_KEY) === '1';
+    }
+    /**
+     * Track the last accepted submission of a solved problem. The first sighting
+     * starts at stage 0; every newer accepted submission advances one stage.
+     */
+    function syncReviewEntry(problemId, meta) {
+        const accepted = filterDate(meta, 'lastAccepted');
+        if (!accepted || !meta.lastAccepted)
+            return;
+        const iso = accepted.toISOString();
+        const entry = reviewState[problemId];
+        if (entry && entry.lastAccepted >= iso)
+            return;
+        reviewState[problemId] = entry ? { stage: entry.stage + 1, lastAccepted: iso } : { stage: 0, lastAccepted: iso };
+        unsavedReviewIds.add(problemId);
+        if (reviewSaveTimer === null)
+            reviewSaveTimer = window.setTimeout(saveReviewProgress, 200);
+    }
+    function reviewDueDate(entry, intervals = loadReviewIntervals()) {
+        const days = intervals[Math.min(entry.stage, intervals.length - 1)] || DEFAULT_REVIEW_INTERVALS[0];
+        const due = addDays(new Date(entry.lastAccepted), days);
+        due.setHours(0, 0, 0, 0);
+        return due;
+    }
+    /** Problems whose review date is today or earlier, most overdue first. */
+    function getDueQueue() {
+        const intervals = loadReviewIntervals();
+        const endOfToday = addDays(new Date(), 1);
+        endOfToday.setHours(0, 0, 0, 0);
+        return Object.keys(reviewState)
+            .map(problemId => ({ problemId, due: reviewDueDate(reviewState[problemId], intervals), stage: reviewState[problemId].stage }))
+            .filter(x => x.due < endOfToday)
+            .sort((a, b) => a.due.getTime() - b.due.getTime());
+    }
+    /** Due date when review mode is on and the problem is due today or earlier, else null. */
+    function dueForReview(problemId) {
+        const entry = reviewState[problemId];
+        if (!entry || !isReviewMode())
+            return null;
+        const endOfToday = addDays(new Date(), 1);
+        endOfToday.setHours(0, 0, 0, 0);
+        const due = reviewDueDate(entry);
+        return due < endOfToday ? due : null;
+    }
+    function refreshReviewMarks() {
+        collectSolved().forEach(icon => {
+            const pid = icon.getAttribute('data-problem-id') || extractProblemId(icon);
+            if (pid)
+                applyReviewMark(icon, pid);
+        });
+        renderReviewQueue();
+    }
+    function applyReviewMark(icon, problemId) {
+        const entry = reviewState[problemId];
+        const due = dueForReview(problemId);
+        const isDue = !!due;
+        icon.classList.toggle('cses-due', isDue);
+        const base = icon.title.replace(/ · Due for review.*$/, '');
+        icon.title = isDue ? `${base} · Due for review since ${toISODate(due)} (stage ${entry.stage + 1})` : base;
+        labelSolvedIcon(icon, isDue);
+    }
+    /** Spoken equivalent of the icon's look: a hidden or dimmed check is otherwise just a missing class. */
+    function labelSolvedIcon(icon, due, display = getHistoricDisplay()) {
+        if (icon.dataset.originalSolved !== '1')
+            return;
+        const state = icon.dataset.csesState === 'historic'
+            ? `Solved outside the date range (${display === 'hide' ? 'check hidden' : display === 'dim' ? 'check dimmed' : 'check shown'})`
+            : 'Solved';
+        icon.setAttribute('role', 'img');
+        icon.setAttribute('aria-label', state + (due ? ', due for review' : ''));
+    }
+    function ensureFilterStyles() {
+        if (document.getElementById('cses-filter-style'))
+            return;
+        const style = document.createElement('style');
+        style.id = 'cses-filter-style';
+        style.textContent = `
+      span.task-score.icon.cses-due { outline: 2px dashed #e69b00; outline-offset: 1px; border-radius: 50%; }
+      span.task-score.icon.cses-historic-dim { opacity: 0.35; filter: grayscale(1); }
+      li.task.cses-view-hidden, ul.task-list.cses-view-empty { display: none !important; }
+      h2.cses-view-empty-heading { opacity: 0.5; }
+      html.cses-hide-overall .cses-section-stats, html.cses-hide-filtered .cses-section-stats-filter { display: none; }
+      .cses-tag-chip { display: inline-block; margin-left: 4px; padding: 0 5px; border-radius: 8px; font: 10px system-ui; line-height: 14px; vertical-align: middle; cursor: pointer; border: 1px solid rgba(128,128,128,0.5); background: rgba(91,143,185,0.15); }
+      .cses-note-btn { margin-left: 4px; padding: 0 3px; font-size: 11px; line-height: 1; cursor: pointer; border: none; background: none; opacity: 0.45; }
+      li.task:hover .cses-note-btn, .cses-note-btn.cses-has-note, .cses-note-btn:focus-visible { opacity: 1; }
+      li.task.cses-jump-target { outline: 2px solid #5b8fb9; outline-offset: 2px; border-radius: 3px; }
+      .cses-sr-only { position: absolute !important; width: 1px; height: 1px; padding: 0; margin: -1px; overflow: hidden; clip: rect(0 0 0 0); white-space: nowrap; border: 0; }
+      #cses-filter-panel :focus-visible, #cses-task-toolbar :focus-visible, #cses-history-popover :focus-visible, .cses-overlay-box :focus-visible,
+      .cses-section-toggle:focus-visible, .cses-note-btn:focus-visible, .cses-tag-chip:focus-visible, .cses-goal-btn:focus-visible, .cses-copy-btn:focus-visible, #cses-activity summary:focus-visible {
+        outline: 2px solid #1a73e8; outline-offset: 2px;
+      }
+    `;
+        document.head.appendChild(style);
+    }
+    function problemTitleFromPage(problemId) {
+        const link = document.querySelector(`a[href$="/problemset/task/${problemId}"], a[href$="/problemset/task/${problemId}/"]`);
+        return link ? extractProblemTitle(link) : null;
+    }
+    let reviewRenderTimer = null;
+    function scheduleReviewRender() {
+        if (reviewRenderTimer !== null)
+            return;
+        reviewRenderTimer = window.setTimeout(() => { reviewRenderTimer = null; renderReviewQueue(); }, 300);
+    }
+    function renderReviewQueue() {
+        const box = document.getElementById('cses-review-queue');
+        if (!box)
+            return;
+        if (!isReviewMode()) {
+            box.style.display = 'none';
+            return;
+        }
+        box.style.display = '';
+        const queue = getDueQueue();
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        box.replaceChildren();
+        const head = document.createElement('div');
+        head.style.fontWeight = '600';
+        head.textContent = queue.length ? `Due for review (${queue.length}):` : 'Nothing due for review today.';
+        box.appendChild(head);
+        const list = document.createElement('ol');
+        list.style.cssText = 'margin:2px 0 0;padding-left:18px;max-height:140px;overflow-y:auto;';
+        queue.slice(0, 25).forEach(({ problemId, due, stage }) => {
+            const li = document.createElement('li');
+            const a = document.createElement('a');
+            a.href = `/problemset/task/${problemId}/`;
+            a.textContent = problemTitleFromPage(problemId) || `#${problemId}`;
+            const overdue = Math.round((today.getTime() - due.getTime()) / 86400000);
+            li.append(a, ` (stage ${stage + 1}${overdue > 0 ? `, ${overdue}d overdue` : ''})`);
+            list.appendChild(li);
+        });
+        if (queue.length)
+            box.appendChild(list);
+    }
+    /** Global solvers / attempts from the list page's `span.detail`; `ratio` is the acceptance ratio (higher is easier). */
+    function parseTaskDetail(li) {
+        const m = /(\d+)\s*\/\s*(\d+)/.exec(cellText(li.querySelector('span.detail')));
+        if (!m)
+            return null;
+        const solvers = Number(m[1]), attempts = Number(m[2]);
+        return attempts > 0 ? { solvers, attempts, ratio: Math.min(1, solvers / attempts) } : null;
+    }
+    // Next-up score = weight × acceptance ratio + (1 − weight) × staleness, both in [0, 1]
+    const NEXT_UP_EASE_WEIGHT = 0.6;
+    const NEXT_UP_STALE_DAYS = 90;
+    /** Unattended, wrong and historic tasks in included sections (and the current task view), best first. */
+    function nextUpCandidates() {
+        const now = Date.now();
+        const out = [];
+        findSections().forEach(({ heading, list }) => {
+            if (!list || heading.dataset.excluded === '1' || getHeadingTitle(heading).startsWith('general'))
+                return;
+            list.querySelectorAll('li.task').forEach(li => {
+                var _a, _b;
+                const bucket = taskBucket(li);
+                if (!bucket || bucket === 'solved' || !isTaskInView(li))
+                    return;
+                const link = li.querySelector('a[href*="/problemset/task/"]');
+                const problemId = link && ((_a = /\/task\/(\d+)/.exec(link.getAttribute('href') || '')) === null || _a === void 0 ? void 0 : _a[1]);
+                if (!problemId)
+                    return;
+                const detail = parseTaskDetail(li);
+                const last = (_b = readCachedMeta(problemId)) === null || _b === void 0 ? void 0 : _b.date;
+                const idleDays = bucket === 'unattended' || !last ? null : Math.max(0, (now - last.getTime()) / 86400000);
+                const staleness = idleDays === null ? 1 : Math.min(1, idleDays / NEXT_UP_STALE_DAYS);
+                const ratio = detail ? detail.ratio : 0;
+                out.push({ li, problemId, title: cellText(link), bucket, ratio, idleDays,
+                    score: NEXT_UP_EASE_WEIGHT * ratio + (1 - NEXT_UP_EASE_WEIGHT) * staleness });
+            });
+        });
+        return out.sort((a, b) => b.score - a.score);
+    }
+    function describeCandidate(c) {
+        const touched = c.idleDays === null ? 'untouched' : `${c.bucket === 'historic' ? 'solved' : 'tried'} ${Math.floor(c.idleDays)}d ago`;
+        return `${Math.round(c.ratio * 100)}% accepted, ${touched}`;
+    }
+    /** Random candidate drawn with probability proportional to its next-up score. */
+    function randomNextUp() {
+        const candidates = nextUpCandidates();
+        const total = candidates.reduce((sum, c) => sum + c.score, 0);
+        if (!candidates.length)
+            return null;
+        if (total <= 0)
+            return candidates[Math.floor(Math.random() * candidates.length)];
+        let r = Math.random() * total;
+        return candidates.find(c => (r -= c.score) < 0) || candidates[candidates.length - 1];
+    }
+    function pickRandomTask() {
+        const pick = randomNextUp();
+        if (!pick) {
+            setStatus('No unsolved or historic problems to pick from.');
+            return;
+        }
+        jumpToTask(li => li === pick.li, 'random pick');
+    }
+    let nextUpRenderTimer = null;
+    function scheduleNextUpRender() {
+        if (nextUpRenderTimer !== null)
+            return;
+        nextUpRenderTimer = window.setTimeout(() => { nextUpRenderTimer = null; renderNextUp(); }, 300);
+    }
+    function renderNextUp() {
+        const box = document.getElementById('cses-next-up');
+        if (!box || !/\/problemset\/list\/?/.test(location.pathname))
+            return;
+        box.style.display = '';
+        // Header and button are built once so a re-render does not steal focus from the button
+        let list = box.querySelector('ol');
+        if (!list) {
+            const head = document.createElement('div');
+            head.style.cssText = 'display:flex;align-items:center;gap:6px;';
+            const label = document.createElement('span');
+            label.style.fontWeight = '600';
+            label.textContent = 'Next up:';
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.id = 'cses-random-pick';
+            btn.textContent = '🎲 Random pick';
+            btn.title = 'Jump to a random unsolved or historic problem, weighted like the Next up list';
+            btn.style.cssText = 'font-size:11px;padding:1px 6px;';
+            btn.addEventListener('click', pickRandomTask);
+            head.append(label, btn);
+            list = document.createElement('ol');
+            list.style.cssText = 'margin:2px 0 0;padding-left:18px;';
+            box.append(head, list);
+        }
+        const top = nextUpCandidates().slice(0, 5);
+        list.replaceChildren(...top.map(c => {
+            const li = document.createElement('li');
+            const a = document.createElement('a');
+            a.href = `/problemset/task/${c.problemId}/`;
+            a.textContent = c.title || `#${c.problemId}`;
+            li.append(a, ` (${describeCandidate(c)})`);
+            return li;
+        }));
+        if (!top.length)
+            list.replaceChildren(Object.assign(document.createElement('li'), { textContent: 'Nothing left to suggest.' }));
+    }
+    const headingLabels = new WeakMap();
+    /** Heading text without the badges and toggles this script injects. */
+    function getHeadingLabel(heading) {
+        // Headings never change their own text, so the first result is kept
+        const known = headingLabels.get(heading);
+        if (known !== undefined)
+            return known;
+        let label;
         try {
             const clone = heading.cloneNode(true);
-            const injected = clone.querySelectorAll('.cses-section-stats, .cses-section-stats-filter, .cses-section-toggle');
+            const injected = clone.querySelectorAll('.cses-section-stats, .cses-section-stats-filter, .cses-section-toggle, .cses-goal, .cses-goal-btn');
             injected.forEach(n => n.remove());
-            return (clone.textContent || '').trim().toLowerCase();
+            label = (clone.textContent || '').trim();
         }
         catch {
-            return (heading.textContent || '').trim().toLowerCase();
+            label = (heading.textContent || '').trim();
         }
+        headingLabels.set(heading, label);
+        return label;
+    }
+    function getHeadingTitle(heading) {
+        return getHeadingLabel(heading).toLowerCase();
     }
     function findSections() {
         return Array.from(document.querySelectorAll('h2')).map(h => ({
@@ -362,7 +2492,7 @@
     function classifyTask(li) {
         var _a;
         const icon = li.querySelector('span.task-score.icon');
-        const solved = !!(icon && icon.classList.contains('full'));
+        const solved = !!(icon && (icon.classList.contains('full') || icon.dataset.originalSolved === '1'));
         const wrongImmediate = !!(icon && icon.classList.contains('zero'));
         const link = li.querySelector('a[href*="/problemset/task/"]');
         const problemId = link ? (_a = (link.getAttribute('href') || '').match(/(\d+)/)) === null || _a === void 0 ? void 0 : _a[1] : null;
@@ -372,13 +2502,11 @@
             return { solved: true, attempted: true, unattended: false, pending: false, problemId };
         if (wrongImmediate)
             return { solved: false, attempted: true, unattended: false, pending: false, problemId };
-        const cacheVal = localStorage.getItem(CACHE_PREFIX + problemId);
-        if (cacheVal) {
-            if (cacheVal === 'NONE')
+        const meta = readCachedMeta(problemId);
+        if (meta) {
+            if (!meta.attempted)
                 return { solved: false, attempted: false, unattended: true, pending: false, problemId };
-            const d = new Date(cacheVal);
-            if (!isNaN(d.getTime()))
-                return { solved: false, attempted: true, unattended: false, pending: false, problemId };
+            return { solved: false, attempted: true, unattended: false, pending: false, problemId };
         }
         return { solved: false, attempted: false, unattended: true, pending: true, problemId };
     }
@@ -386,7 +2514,7 @@
         const { heading, list } = section;
         if (!list)
             return;
-        const tasks = Array.from(list.querySelectorAll('li.task'));
+        const tasks = Array.from(list.querySelectorAll('li.task')).filter(isTaskInView);
         let total = tasks.length, correct = 0, wrong = 0, unattended = 0;
         tasks.forEach(li => {
             const c = classifyTask(li);
@@ -406,7 +2534,7 @@
             badge.style.cssText = 'margin-right:6px;font-weight:normal;font-size:0.75em;color:#888;';
             heading.prepend(badge);
         }
-        badge.innerHTML = `[<span style="color:#ccc;">${total}</span> / <span style="color:#3c9b3c;">${correct}</span> / <span style="color:#d28b26;">${wrong}</span> / <span style="color:#777;">${unattended}</span>] `;
+        badge.innerHTML = overallBadgeHtml({ total, correct, wrong, unattended });
         badge.title = 'Overall: total / solved / wrong (attempted unsolved) / unattended';
         heading.dataset.sectionOverall = JSON.stringify({ total, correct, wrong, unattended });
     }
@@ -414,6 +2542,8 @@
         if (!/\/problemset\/list\/?/.test(location.pathname))
             return;
         const sections = findSections();
+        const ttl = loadCacheTtl();
+        fetchScheduler.cancel('sections');
         sections.forEach(section => {
             updateSectionHeading(section);
             if (section.list)
@@ -424,53 +2554,245 @@
             tasks.forEach(li => {
                 const c = classifyTask(li);
                 if (c.pending && c.problemId) {
-                    sectionQueue.push(async () => {
-                        await getSubmissionMeta(c.problemId);
-                        updateSectionHeading(section);
-                        updateFilteredSectionStats();
-                    });
+                    const id = c.problemId;
+                    getSubmissionMeta(id, null, 'sections').then(() => problemStates.invalidate([id]));
+                }
+                else if (c.problemId) {
+                    const meta = readCachedMeta(c.problemId);
+                    if (meta && (isStale(c.problemId, ttl) || cacheContradictsPage(meta, li.querySelector('span.task-score.icon'))))
+                        revalidate(c.problemId);
                 }
             });
         });
         updateFilteredSectionStats();
+        updateCacheStatus();
+        saveListStructure(sections);
     }
-    function updateFilteredSectionStats() {
-        if (!/\/problemset\/list\/?/.test(location.pathname))
+    function saveListStructure(sections) {
+        const structure = { savedAt: Date.now(), sections: [] };
+        sections.forEach(({ heading, list }) => {
+            if (!list || getHeadingTitle(heading).startsWith('general'))
+                return;
+            const tasks = Array.from(list.querySelectorAll('li.task')).map(li => {
+                var _a;
+                const link = li.querySelector('a[href*="/problemset/task/"]');
+                const id = link && ((_a = /\/task\/(\d+)/.exec(link.getAttribute('href') || '')) === null || _a === void 0 ? void 0 : _a[1]);
+                const icon = li.querySelector('span.task-score.icon');
+                const page = icon && (icon.dataset.originalSolved === '1' || icon.classList.contains('full')) ? 'solved' : icon && icon.classList.contains('zero') ? 'wrong' : null;
+                return id ? { id, title: cellText(link), page } : null;
+            }).filter((t) => !!t);
+            if (tasks.length)
+                structure.sections.push({ title: getHeadingLabel(heading), tasks });
+        });
+        if (!structure.sections.length)
             return;
-        const sections = findSections();
-        sections.forEach(section => {
-            const { heading, list } = section;
+        try {
+            localStorage.setItem(LIST_STRUCTURE_KEY, JSON.stringify(structure));
+        }
+        catch { }
+    }
+    function loadListStructure() {
+        try {
+            const raw = JSON.parse(localStorage.getItem(LIST_STRUCTURE_KEY) || 'null');
+            return raw && Array.isArray(raw.sections) ? raw : null;
+        }
+        catch {
+            return null;
+        }
+    }
+    /** Filter bucket of a task: recent solve, historic solve, wrong, unattended (null without an icon). */
+    function taskBucket(li) {
+        if (!li.querySelector('span.task-score.icon'))
+            return null;
+        const id = taskRowProblemId(li);
+        const st = id ? problemStates.get(id) : null;
+        if (st)
+            return st.bucket;
+        const tracked = problemStates.track(li);
+        return tracked ? problemStates.get(tracked).bucket : null;
+    }
+    /** Bucket tasks by the current filter: recent solve, historic solve, wrong, unattended. */
+    function computeFilteredCounts(tasks) {
+        const counts = { solved: 0, historic: 0, wrong: 0, unattended: 0 };
+        tasks.forEach(li => {
+            const bucket = taskBucket(li);
+            if (bucket)
+                counts[bucket]++;
+        });
+        return counts;
+    }
+    function taskRowProblemId(li) {
+        var _a;
+        const link = li.querySelector('a[href*="/problemset/task/"]');
+        return (link && ((_a = /\/task\/(\d+)/.exec(link.getAttribute('href') || '')) === null || _a === void 0 ? void 0 : _a[1])) || null;
+    }
+    function isTaskInView(li) {
+        return !li.classList.contains('cses-view-hidden');
+    }
+    function isDefaultTaskView(view) {
+        return view.buckets.length === ALL_BUCKETS.length && !view.query.trim() && view.sort === 'default' && !view.tag;
+    }
+    function taskSortKey(li) {
+        var _a;
+        const link = li.querySelector('a[href*="/problemset/task/"]');
+        const problemId = link ? (_a = (link.getAttribute('href') || '').match(/(\d+)/)) === null || _a === void 0 ? void 0 : _a[1] : null;
+        const meta = problemId ? readCachedMeta(problemId) : null;
+        return meta && meta.date ? meta.date.getTime() : null;
+    }
+    /**
+     * Apply the toolbar view: hide tasks that do not match, collapse sections
+     * left empty and reorder tasks by last submission. Returns whether task
+     * visibility changed (so callers can recount badges).
+     */
+    function applyTaskView(sections, view = taskView) {
+        const query = view.query.trim().toLowerCase();
+        const wanted = new Set(view.buckets);
+        const notes = view.tag ? loadNotes() : {};
+        let changed = false;
+        sections.forEach(({ heading, list }) => {
             if (!list)
                 return;
             const tasks = Array.from(list.querySelectorAll('li.task'));
-            let filteredSolved = 0, filteredWrong = 0, filteredUnatt = 0;
-            tasks.forEach(li => {
-                var _a;
-                const icon = li.querySelector('span.task-score.icon');
-                if (!icon)
-                    return;
-                const originallySolved = icon.dataset.originalSolved === '1' || icon.classList.contains('full');
-                const isSolvedNow = icon.classList.contains('full');
-                const wrongImmediate = icon.classList.contains('zero');
-                const link = li.querySelector('a[href*="/problemset/task/"]');
-                const problemId = link ? (_a = (link.getAttribute('href') || '').match(/(\d+)/)) === null || _a === void 0 ? void 0 : _a[1] : null;
-                let attempted = false;
-                if (wrongImmediate)
-                    attempted = true;
-                else if (problemId) {
-                    const cacheVal = localStorage.getItem(CACHE_PREFIX + problemId);
-                    if (cacheVal && cacheVal !== 'NONE')
-                        attempted = true;
+            if (!tasks.length)
+                return;
+            let visible = 0;
+            tasks.forEach((li, i) => {
+                if (!li.dataset.csesOrder)
+                    li.dataset.csesOrder = String(i);
+                const bucket = taskBucket(li);
+                const title = extractProblemTitle(li).toLowerCase();
+                const id = view.tag ? taskRowProblemId(li) : null;
+                const match = (!bucket || wanted.has(bucket)) && (!query || title.includes(query)) &&
+                    (!view.tag || (!!id && !!notes[id] && notes[id].tags.includes(view.tag)));
+                if (isTaskInView(li) !== match) {
+                    li.classList.toggle('cses-view-hidden', !match);
+                    changed = true;
                 }
-                if (isSolvedNow && originallySolved)
-                    filteredSolved++;
-                else if (attempted && !originallySolved)
-                    filteredWrong++;
-                else
-                    filteredUnatt++;
+                if (match)
+                    visible++;
             });
-            if (!tasks.length)
+            list.classList.toggle('cses-view-empty', !visible);
+            heading.classList.toggle('cses-view-empty-heading', !visible);
+            const order = tasks.slice().sort((a, b) => {
+                if (view.sort !== 'default') {
+                    const ka = taskSortKey(a), kb = taskSortKey(b);
+                    if (ka !== kb) {
+                        if (ka === null)
+                            return 1;
+                        if (kb === null)
+                            return -1;
+                        return view.sort === 'newest' ? kb - ka : ka - kb;
+                    }
+                }
+                return Number(a.dataset.csesOrder) - Number(b.dataset.csesOrder);
+            });
+            if (order.some((li, i) => li !== tasks[i]))
+                mutateDom(() => order.forEach(li => list.appendChild(li)));
+        });
+        const countEl = document.getElementById('cses-task-count');
+        if (countEl && isDefaultTaskView(view))
+            countEl.textContent = '';
+        else if (countEl) {
+            // Counted over the whole page, since `sections` may be only the ones that changed
+            const total = document.querySelectorAll('ul.task-list li.task').length;
+            const shown = total - document.querySelectorAll('ul.task-list li.task.cses-view-hidden').length;
+            countEl.textContent = `${shown}/${total} shown`;
+        }
+        return changed;
+    }
+    function createTaskToolbar() {
+        if (!/\/problemset\/list\/?/.test(location.pathname))
+            return null;
+        const existing = document.getElementById('cses-task-toolbar');
+        if (existing)
+            return existing;
+        const firstHeading = document.querySelector('h2');
+        if (!firstHeading || !firstHeading.parentElement)
+            return null;
+        const view = taskView;
+        const dark = isDarkTheme();
+        const bar = document.createElement('div');
+        bar.id = 'cses-task-toolbar';
+        bar.setAttribute('role', 'toolbar');
+        bar.setAttribute('aria-label', 'Task list filters');
+        bar.style.cssText = 'display:flex;flex-wrap:wrap;align-items:center;gap:8px;margin:8px 0;font:12px system-ui;';
+        const labels = { solved: 'Solved (in range)', historic: 'Historic', wrong: 'Wrong', unattended: 'Unattended' };
+        bar.innerHTML = `
+      <input type="search" id="cses-task-search" aria-label="Filter task titles" placeholder="Filter titles…" title="Show only tasks whose title contains this text" style="padding:2px 4px;font-size:12px;width:12em;" />
+      ${ALL_BUCKETS.map(b => `<label><input type="checkbox" data-bucket="${b}" /> ${labels[b]}</label>`).join('')}
+      <select id="cses-task-tag" aria-label="Filter by tag" title="Show only tasks with this tag" style="padding:1px 2px;font-size:12px;"></select>
+      <select id="cses-task-sort" title="Order within each section" style="padding:1px 2px;font-size:12px;">
+        <option value="default">Default order</option>
+        <option value="newest">Last submission: newest first</option>
+        <option value="oldest">Last submission: oldest first</option>
+      </select>
+      <span id="cses-task-count" role="status" style="color:${dark ? '#aaa' : '#666'};"></span>
+    `;
+        bar.querySelectorAll('input[type="search"], select').forEach(el => Object.assign(el.style, {
+            background: dark ? '#1e1e1e' : '#fff', color: dark ? '#eee' : '#111', border: '1px solid ' + (dark ? '#555' : '#bbb')
+        }));
+        const search = bar.querySelector('#cses-task-search');
+        const sort = bar.querySelector('#cses-task-sort');
+        const tag = bar.querySelector('#cses-task-tag');
+        const boxes = Array.from(bar.querySelectorAll('input[data-bucket]'));
+        const onChange = () => {
+            saveTaskView({
+                buckets: boxes.filter(b => b.checked).map(b => b.dataset.bucket),
+                query: search.value,
+                sort: sort.value === 'newest' || sort.value === 'oldest' ? sort.value : 'default',
+                tag: tag.value
+            });
+            updateFilteredSectionStats();
+        };
+        search.addEventListener('input', onChange);
+        sort.addEventListener('change', onChange);
+        tag.addEventListener('change', onChange);
+        boxes.forEach(box => box.addEventListener('change', onChange));
+        firstHeading.parentElement.insertBefore(bar, firstHeading);
+        setTaskToolbarControls(view);
+        return bar;
+    }
+    function setTaskToolbarControls(view) {
+        const bar = document.getElementById('cses-task-toolbar');
+        if (!bar)
+            return;
+        bar.querySelector('#cses-task-search').value = view.query;
+        bar.querySelector('#cses-task-sort').value = view.sort;
+        renderTagOptions(view.tag);
+        bar.querySelectorAll('input[data-bucket]').forEach(box => { box.checked = view.buckets.includes(box.dataset.bucket); });
+        updateFilteredSectionStats();
+    }
+    /** Colored count with its shape glyph, so the badge does not rely on color alone. */
+    function badgeCount(bucket, n) {
+        const glyph = bucket === 'total' ? '' : BADGE_GLYPHS[bucket];
+        return `<span style="color:${badgeColors()[bucket]};">${glyph}${n}</span>`;
+    }
+    function overallBadgeHtml(o) {
+        return `<span aria-hidden="true">[${badgeCount('total', o.total)} / ${badgeCount('solved', o.correct)} / ${badgeCount('wrong', o.wrong)} / ${badgeCount('unattended', o.unattended)}] </span>` +
+            `<span class="cses-sr-only">Overall: ${o.total} tasks, ${o.correct} solved, ${o.wrong} wrong, ${o.unattended} unattended.</span>`;
+    }
+    function filteredBadgeHtml(f) {
+        return `<span aria-hidden="true">[filtered ${badgeCount('solved', f.solved)} / ${badgeCount('historic', f.historic)} / ${badgeCount('wrong', f.wrong)} / ${badgeCount('unattended', f.unattended)}]</span>` +
+            `<span class="cses-sr-only">In the date range: ${f.solved} solved, ${f.historic} historic, ${f.wrong} wrong, ${f.unattended} unattended.</span>`;
+    }
+    /** Re-render the filtered badges of the sections whose lists are in `only` (all when omitted), then the General totals. */
+    function updateFilteredSectionStats(only) {
+        if (!/\/problemset\/list\/?/.test(location.pathname))
+            return;
+        scheduleNextUpRender();
+        const allSections = findSections();
+        const sections = only ? allSections.filter(s => s.list && only.has(s.list)) : allSections;
+        const { range, mode } = problemStates.currentFilter();
+        if (applyTaskView(sections))
+            sections.forEach(updateSectionHeading);
+        sections.forEach(section => {
+            const { heading, list } = section;
+            if (!list)
+                return;
+            const allTasks = Array.from(list.querySelectorAll('li.task'));
+            if (!allTasks.length)
                 return;
+            const filtered = computeFilteredCounts(allTasks.filter(isTaskInView));
             let filteredBadge = heading.querySelector(':scope > .cses-section-stats-filter');
             if (!filteredBadge) {
                 filteredBadge = document.createElement('span');
@@ -478,12 +2800,14 @@
                 filteredBadge.style.cssText = 'margin-left:8px;font-weight:normal;font-size:0.7em;color:#5aa;';
                 heading.appendChild(filteredBadge);
             }
-            filteredBadge.innerHTML = `[filtered <span style="color:#3c9b3c;">${filteredSolved}</span> / <span style="color:#d28b26;">${filteredWrong}</span> / <span style="color:#777;">${filteredUnatt}</span>]`;
-            filteredBadge.title = 'Filtered (date threshold): solved-after-threshold / wrong (attempted unsolved) / old-or-unattended';
-            heading.dataset.sectionFiltered = JSON.stringify({ solved: filteredSolved, wrong: filteredWrong, unattended: filteredUnatt });
+            filteredBadge.innerHTML = filteredBadgeHtml(filtered);
+            filteredBadge.title = `Filtered (${describeRange(range)} by ${DATE_MODE_LABELS[mode]}): solved-in-range / historic (solved outside range) / wrong (attempted unsolved) / unattended`;
+            heading.dataset.sectionFiltered = JSON.stringify(filtered);
+            renderSectionGoal(section, filteredBadge, sectionGoals);
         });
-        let aggTotal = 0, aggSolved = 0, aggWrong = 0, aggUnatt = 0, aggFilteredSolved = 0, aggFilteredWrong = 0, aggFilteredUnatt = 0;
-        sections.forEach(section => {
+        let aggTotal = 0, aggSolved = 0, aggWrong = 0, aggUnatt = 0;
+        const aggFiltered = { solved: 0, historic: 0, wrong: 0, unattended: 0 };
+        allSections.forEach(section => {
             const { heading, list } = section;
             if (!list)
                 return;
@@ -496,7 +2820,7 @@
             }
             catch { }
             if (!overall) {
-                const tasks = Array.from(list.querySelectorAll('li.task'));
+                const tasks = Array.from(list.querySelectorAll('li.task')).filter(isTaskInView);
                 let total = tasks.length, correct = 0, wrong = 0, unattended = 0;
                 tasks.forEach(li => {
                     const c = classifyTask(li);
@@ -518,186 +2842,1571 @@
                 filt = JSON.parse(heading.dataset.sectionFiltered || 'null');
             }
             catch { }
-            if (!filt) {
-                const tasks = Array.from(list.querySelectorAll('li.task'));
-                let fs = 0, fw = 0, fu = 0;
-                tasks.forEach(li => {
-                    var _a;
-                    const icon = li.querySelector('span.task-score.icon');
-                    if (!icon)
-                        return;
-                    const originallySolved = icon.dataset.originalSolved === '1' || icon.classList.contains('full');
-                    const isSolvedNow = icon.classList.contains('full');
-                    const wrongImmediate = icon.classList.contains('zero');
-                    const link = li.querySelector('a[href*="/problemset/task/"]');
-                    const problemId = link ? (_a = (link.getAttribute('href') || '').match(/(\d+)/)) === null || _a === void 0 ? void 0 : _a[1] : null;
-                    let attempted = false;
-                    if (wrongImmediate)
-                        attempted = true;
-                    else if (problemId) {
-                        const cacheVal = localStorage.getItem(CACHE_PREFIX + problemId);
-                        if (cacheVal && cacheVal !== 'NONE')
-                            attempted = true;
-                    }
-                    if (isSolvedNow && originallySolved)
-                        fs++;
-                    else if (attempted && !originallySolved)
-                        fw++;
-                    else
-                        fu++;
-                });
-                filt = { solved: fs, wrong: fw, unattended: fu };
+            if (!filt)
+                filt = computeFilteredCounts(Array.from(list.querySelectorAll('li.task')).filter(isTaskInView));
+            aggFiltered.solved += (filt.solved || 0);
+            aggFiltered.historic += (filt.historic || 0);
+            aggFiltered.wrong += (filt.wrong || 0);
+            aggFiltered.unattended += (filt.unattended || 0);
+        });
+        const general = allSections.find(s => getHeadingTitle(s.heading).startsWith('general'));
+        if (general) {
+            const h = general.heading;
+            let overallBadge = h.querySelector(':scope > .cses-section-stats');
+            if (!overallBadge) {
+                overallBadge = document.createElement('span');
+                overallBadge.className = 'cses-section-stats';
+                overallBadge.style.cssText = 'margin-right:6px;font-weight:normal;font-size:0.75em;color:#888;';
+                h.prepend(overallBadge);
+            }
+            overallBadge.innerHTML = overallBadgeHtml({ total: aggTotal, correct: aggSolved, wrong: aggWrong, unattended: aggUnatt });
+            overallBadge.title = 'Overall totals across all included sections: total / solved / wrong / unattended';
+            let filteredBadge = h.querySelector(':scope > .cses-section-stats-filter');
+            if (!filteredBadge) {
+                filteredBadge = document.createElement('span');
+                filteredBadge.className = 'cses-section-stats-filter';
+                filteredBadge.style.cssText = 'margin-left:8px;font-weight:normal;font-size:0.7em;color:#5aa;';
+                h.appendChild(filteredBadge);
+            }
+            filteredBadge.innerHTML = filteredBadgeHtml(aggFiltered);
+            filteredBadge.title = `Aggregate filtered counts (${describeRange(range)} by ${DATE_MODE_LABELS[mode]}) across included sections`;
+        }
+        scheduleActivityRender();
+    }
+    const SVG_NS = 'http://www.w3.org/2000/svg';
+    function svgEl(tag, attrs) {
+        const el = document.createElementNS(SVG_NS, tag);
+        Object.keys(attrs).forEach(k => el.setAttribute(k, String(attrs[k])));
+        return el;
+    }
+    /** Distinct problems with an accepted submission, per local day (`YYYY-MM-DD`). */
+    function collectSolveDays() {
+        const days = new Map();
+        submissionStore.ids().forEach(id => {
+            const meta = submissionStore.peek(id);
+            if (!meta)
+                return;
+            const solvedDays = new Set();
+            meta.submissions.forEach(sub => { if (sub.verdict === ACCEPTED)
+                solvedDays.add(toISODate(sub.time)); });
+            solvedDays.forEach(d => days.set(d, (days.get(d) || 0) + 1));
+        });
+        return days;
+    }
+    /** First-accepted dates of every solved problem, ascending. */
+    function collectFirstSolves() {
+        const dates = [];
+        submissionStore.ids().forEach(id => {
+            const meta = submissionStore.peek(id);
+            if (!meta)
+                return;
+            if (meta.firstAccepted)
+                dates.push(meta.firstAccepted);
+        });
+        return dates.sort((a, b) => a.getTime() - b.getTime());
+    }
+    function heatColor(count, max, dark) {
+        const scale = dark ? ['#2d2d2d', '#0e4429', '#006d32', '#26a641', '#39d353'] : ['#ebedf0', '#9be9a8', '#40c463', '#30a14e', '#216e39'];
+        if (!count)
+            return scale[0];
+        const level = Math.min(4, Math.max(1, Math.ceil((count / Math.max(1, max)) * 4)));
+        return scale[level];
+    }
+    /** GitHub-style calendar of the last 53 weeks; clicking a day filters to it. */
+    function buildHeatmapSvg(days, dark) {
+        const cell = 10, gap = 2, weeks = 53, top = 14, left = 24;
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const start = addDays(today, -(weeks - 1) * 7 - today.getDay());
+        const max = Math.max(0, ...Array.from(days.values()));
+        const range = getDateRange();
+        const svg = svgEl('svg', { width: left + weeks * (cell + gap), height: top + 7 * (cell + gap), role: 'img', 'aria-label': 'Solves per day over the last year' });
+        const textColor = dark ? '#aaa' : '#666';
+        ['Mon', 'Wed', 'Fri'].forEach((label, i) => {
+            const t = svgEl('text', { x: 0, y: top + (i * 2 + 1) * (cell + gap) + cell - 1, 'font-size': 9, fill: textColor });
+            t.textContent = label;
+            svg.appendChild(t);
+        });
+        let lastMonth = -1;
+        for (let d = start, i = 0; d <= today; d = addDays(d, 1), i++) {
+            const week = Math.floor(i / 7), dow = d.getDay();
+            if (dow === 0 && d.getMonth() !== lastMonth) {
+                lastMonth = d.getMonth();
+                const t = svgEl('text', { x: left + week * (cell + gap), y: 9, 'font-size': 9, fill: textColor });
+                t.textContent = d.toLocaleString(undefined, { month: 'short' });
+                svg.appendChild(t);
+            }
+            const iso = toISODate(d);
+            const count = days.get(iso) || 0;
+            const inRange = !!(range.from || range.to) && isInRange(d, range) && !(range.from && !range.to && range.from.getTime() === today.getTime());
+            const rect = svgEl('rect', {
+                x: left + week * (cell + gap), y: top + dow * (cell + gap), width: cell, height: cell, rx: 2,
+                fill: heatColor(count, max, dark), 'data-date': iso,
+                stroke: inRange ? (dark ? '#7ab7ff' : '#1f6feb') : 'none', 'stroke-width': inRange ? 1 : 0
+            });
+            rect.style.cursor = 'pointer';
+            const title = svgEl('title', {});
+            title.textContent = `${count} solve${count === 1 ? '' : 's'} on ${iso}`;
+            rect.appendChild(title);
+            rect.addEventListener('click', () => setDateRange(iso, iso));
+            svg.appendChild(rect);
+        }
+        return svg;
+    }
+    /** Cumulative count of distinct solved problems (by first accepted date). */
+    function buildTimelineSvg(firstSolves, dark) {
+        const width = 24 + 53 * 12, height = 110, padL = 34, padR = 8, padT = 8, padB = 18;
+        const svg = svgEl('svg', { width, height, role: 'img', 'aria-label': 'Cumulative solved problems over time' });
+        const textColor = dark ? '#aaa' : '#666';
+        const axisColor = dark ? '#555' : '#ccc';
+        const first = firstSolves[0], last = new Date();
+        if (!first) {
+            const t = svgEl('text', { x: padL, y: height / 2, 'font-size': 11, fill: textColor });
+            t.textContent = 'No accepted submissions cached yet.';
+            svg.appendChild(t);
+            return svg;
+        }
+        const t0 = first.getTime(), span = Math.max(1, last.getTime() - t0), total = firstSolves.length;
+        const x = (t) => padL + ((t - t0) / span) * (width - padL - padR);
+        const y = (n) => height - padB - (n / total) * (height - padT - padB);
+        svg.appendChild(svgEl('line', { x1: padL, y1: height - padB, x2: width - padR, y2: height - padB, stroke: axisColor }));
+        svg.appendChild(svgEl('line', { x1: padL, y1: padT, x2: padL, y2: height - padB, stroke: axisColor }));
+        const points = [`${x(t0).toFixed(1)},${y(0).toFixed(1)}`];
+        firstSolves.forEach((d, i) => {
+            points.push(`${x(d.getTime()).toFixed(1)},${y(i).toFixed(1)}`, `${x(d.getTime()).toFixed(1)},${y(i + 1).toFixed(1)}`);
+        });
+        points.push(`${x(last.getTime()).toFixed(1)},${y(total).toFixed(1)}`);
+        svg.appendChild(svgEl('polyline', { points: points.join(' '), fill: 'none', stroke: dark ? '#39d353' : '#30a14e', 'stroke-width': 1.5 }));
+        const labels = [
+            [padL - 4, padT + 8, String(total), 'end'],
+            [padL - 4, height - padB, '0', 'end'],
+            [padL, height - 4, toISODate(first), 'start'],
+            [width - padR, height - 4, toISODate(last), 'end']
+        ];
+        labels.forEach(([lx, ly, text, anchor]) => {
+            const t = svgEl('text', { x: lx, y: ly, 'font-size': 9, fill: textColor, 'text-anchor': anchor });
+            t.textContent = text;
+            svg.appendChild(t);
+        });
+        return svg;
+    }
+    let activityTimer = null;
+    function scheduleActivityRender() {
+        if (activityTimer !== null)
+            return;
+        activityTimer = window.setTimeout(() => { activityTimer = null; renderActivity(); renderStreak(); }, 300);
+    }
+    function renderActivity() {
+        if (!/\/problemset\/list\/?/.test(location.pathname))
+            return;
+        const firstHeading = document.querySelector('h2');
+        if (!firstHeading || !firstHeading.parentElement)
+            return;
+        let box = document.getElementById('cses-activity');
+        if (!box) {
+            box = document.createElement('details');
+            box.id = 'cses-activity';
+            box.open = localStorage.getItem(ACTIVITY_OPEN_KEY) === '1';
+            box.style.cssText = 'margin:8px 0 12px;font:12px system-ui;';
+            box.innerHTML = '<summary style="cursor:pointer;font-weight:600;">Activity</summary><div class="cses-activity-body" style="margin-top:6px;overflow-x:auto;"></div>';
+            box.addEventListener('toggle', () => {
+                localStorage.setItem(ACTIVITY_OPEN_KEY, box.open ? '1' : '0');
+                if (box.open)
+                    renderActivity();
+            });
+            firstHeading.parentElement.insertBefore(box, firstHeading);
+        }
+        if (!box.open)
+            return;
+        const body = box.querySelector('.cses-activity-body');
+        const dark = isDarkTheme();
+        const days = collectSolveDays();
+        const firstSolves = collectFirstSolves();
+        const total = Array.from(days.values()).reduce((a, b) => a + b, 0);
+        const caption = document.createElement('div');
+        caption.style.cssText = 'margin:2px 0 4px;color:' + (dark ? '#aaa' : '#666') + ';';
+        caption.textContent = `${total} accepted problem-days, ${firstSolves.length} distinct problems solved. Click a day to filter to it.`;
+        body.replaceChildren(buildHeatmapSvg(days, dark), caption, buildTimelineSvg(firstSolves, dark));
+    }
+    /** Current and longest run of consecutive days with at least `perDay` problems accepted; today may still be open. */
+    function computeStreaks(days, perDay) {
+        const met = (d) => (days.get(toISODate(d)) || 0) >= perDay;
+        let longest = 0, run = 0, prev = null;
+        Array.from(days.keys()).filter(d => (days.get(d) || 0) >= perDay).sort().forEach(d => {
+            run = prev !== null && toISODate(addDays(new Date(prev + 'T00:00:00'), 1)) === d ? run + 1 : 1;
+            longest = Math.max(longest, run);
+            prev = d;
+        });
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        // An unfinished today does not break the streak yet
+        let cursor = met(today) ? today : addDays(today, -1);
+        let current = 0;
+        while (met(cursor)) {
+            current++;
+            cursor = addDays(cursor, -1);
+        }
+        return { current, longest, today: days.get(toISODate(today)) || 0 };
+    }
+    function renderStreak() {
+        const el = document.getElementById('cses-streak');
+        if (!el)
+            return;
+        const perDay = loadDailyGoal();
+        const { current, longest, today } = computeStreaks(collectSolveDays(), perDay);
+        el.textContent = `🔥 ${current} d (best ${longest} d), today ${today}/${perDay}`;
+    }
+    /** Distinct problems of the section list with an accepted submission inside the goal window. */
+    function sectionGoalProgress(list, goal) {
+        const from = new Date(goal.since + 'T00:00:00'), to = addDays(new Date(goal.deadline + 'T00:00:00'), 1);
+        const inWindow = (d) => d >= from && d < to;
+        const ids = new Set(Array.from(list.querySelectorAll('li.task a[href*="/problemset/task/"]'))
+            .map(a => { var _a; return (_a = /(\d+)/.exec(a.getAttribute('href') || '')) === null || _a === void 0 ? void 0 : _a[1]; }).filter((id) => !!id));
+        let done = 0;
+        ids.forEach(id => {
+            const meta = readCachedMeta(id);
+            if (!meta)
+                return;
+            if (meta.submissions.some(sub => sub.verdict === ACCEPTED && inWindow(sub.time)))
+                done++;
+        });
+        return done;
+    }
+    function editSectionGoal(key, label) {
+        const goals = { ...sectionGoals };
+        const cur = goals[key];
+        const text = prompt(`Goal for ${label}: number of problems and deadline, e.g. "10 by 2026-12-01". Leave empty to remove.`, cur ? `${cur.target} by ${cur.deadline}` : '');
+        if (text === null)
+            return;
+        if (!text.trim()) {
+            delete goals[key];
+        }
+        else {
+            const parsed = parseGoalInput(text);
+            if (!parsed) {
+                setStatus('Goal not understood; use e.g. "10 by 2026-12-01".');
+                return;
+            }
+            goals[key] = { ...parsed, since: cur ? cur.since : toISODate(new Date()) };
+        }
+        saveSectionGoals(goals);
+        updateFilteredSectionStats();
+    }
+    /** Goal button and progress bar after the filtered badge; the bar counts solves since the goal was set. */
+    function renderSectionGoal(section, after, goals) {
+        const { heading, list } = section;
+        const key = getHeadingTitle(heading);
+        if (!list || key.startsWith('general'))
+            return;
+        const dark = isDarkTheme();
+        let btn = heading.querySelector(':scope > .cses-goal-btn');
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.className = 'cses-goal-btn';
+            btn.type = 'button';
+            btn.textContent = '🎯';
+            btn.setAttribute('aria-label', `Goal for ${getHeadingLabel(heading)}`);
+            btn.style.cssText = `margin-left:8px;font-size:11px;padding:1px 6px;border-radius:4px;cursor:pointer;border:1px solid ${dark ? '#555' : '#bbb'};background:${dark ? '#2a2a2a' : '#f5f5f5'};color:${dark ? '#ddd' : '#222'};`;
+            btn.addEventListener('click', () => editSectionGoal(key, getHeadingLabel(heading)));
+            heading.appendChild(btn);
+        }
+        const goal = goals[key];
+        btn.title = goal ? 'Edit section goal' : 'Set a goal for this section';
+        let bar = heading.querySelector(':scope > .cses-goal');
+        if (!goal) {
+            if (bar)
+                bar.remove();
+            return;
+        }
+        if (!bar) {
+            bar = document.createElement('span');
+            bar.className = 'cses-goal';
+            bar.style.cssText = 'margin-left:8px;font-weight:normal;font-size:0.7em;white-space:nowrap;';
+        }
+        if (bar.previousElementSibling !== after)
+            after.after(bar);
+        const done = sectionGoalProgress(list, goal);
+        const today = new Date();
+        today.setHours(0, 0, 0, 0);
+        const since = new Date(goal.since + 'T00:00:00'), deadline = new Date(goal.deadline + 'T00:00:00');
+        const spanDays = Math.max(1, Math.round((deadline.getTime() - since.getTime()) / 86400000) + 1);
+        const elapsed = Math.min(spanDays, Math.max(0, Math.round((today.getTime() - since.getTime()) / 86400000) + 1));
+        const expected = Math.floor(goal.target * elapsed / spanDays);
+        const state = done >= goal.target ? 'done' : today > deadline ? 'missed' : done < expected ? 'behind' : 'on track';
+        const c = badgeColors();
+        const color = { done: c.solved, missed: '#c0392b', behind: c.wrong, 'on track': c.historic }[state];
+        const pct = Math.min(100, Math.round(done / goal.target * 100));
+        const mark = { done: '✓ ', missed: '✗ ', behind: '! ', 'on track': '' }[state];
+        bar.innerHTML = `<span style="display:inline-block;width:60px;height:6px;border-radius:3px;vertical-align:middle;overflow:hidden;background:${dark ? '#333' : '#ddd'};"><span style="display:block;height:100%;width:${pct}%;background:${color};"></span></span> <span style="color:${color};">${mark}${done}/${goal.target} by ${goal.deadline}</span>`;
+        bar.title = `Goal: ${goal.target} problems solved between ${goal.since} and ${goal.deadline}; ${state}` + (state === 'behind' ? ` (about ${expected} expected by today)` : '') + '.';
+        bar.setAttribute('role', 'progressbar');
+        bar.setAttribute('aria-valuemin', '0');
+        bar.setAttribute('aria-valuemax', String(goal.target));
+        bar.setAttribute('aria-valuenow', String(Math.min(done, goal.target)));
+        bar.setAttribute('aria-valuetext', `${done} of ${goal.target} by ${goal.deadline}, ${state}`);
+    }
+    function addSectionToggle(section) {
+        const { heading, list } = section;
+        if (!list)
+            return;
+        const title = getHeadingTitle(heading);
+        if (title.startsWith('general'))
+            return;
+        const excludedSet = loadExcludedSections();
+        let btn = heading.querySelector(':scope > .cses-section-toggle');
+        if (!btn) {
+            btn = document.createElement('button');
+            btn.className = 'cses-section-toggle';
+            btn.type = 'button';
+            btn.style.marginLeft = '8px';
+            btn.style.fontSize = '11px';
+            btn.style.padding = '1px 6px';
+            btn.style.borderRadius = '4px';
+            btn.style.cursor = 'pointer';
+            const dark = isDarkTheme();
+            btn.style.border = '1px solid ' + (dark ? '#555' : '#bbb');
+            btn.style.background = dark ? '#2a2a2a' : '#f5f5f5';
+            btn.style.color = dark ? '#ddd' : '#222';
+            heading.appendChild(btn);
+        }
+        const key = title;
+        // Re-run after another tab changed the excluded set, so both states must be applied
+        if (excludedSet.has(key)) {
+            heading.dataset.excluded = '1';
+            list.style.display = 'none';
+        }
+        else if (heading.dataset.excluded === '1') {
+            delete heading.dataset.excluded;
+            list.style.display = '';
+        }
+        const updateBtnUI = () => {
+            const excluded = heading.dataset.excluded === '1';
+            btn.textContent = excluded ? '🙈' : '👁';
+            btn.title = excluded ? 'Include Section' : 'Exclude Section';
+            // A stable name plus the pressed state reads better than a label that flips
+            btn.setAttribute('aria-label', `Exclude ${getHeadingLabel(heading)} from totals`);
+            btn.setAttribute('aria-pressed', String(excluded));
+        };
+        updateBtnUI();
+        btn.onclick = () => {
+            const excludedSet = loadExcludedSections();
+            const excluded = heading.dataset.excluded === '1';
+            if (excluded) {
+                delete heading.dataset.excluded;
+                list.style.display = '';
+                excludedSet.delete(key);
+            }
+            else {
+                heading.dataset.excluded = '1';
+                list.style.display = 'none';
+                excludedSet.add(key);
+            }
+            saveExcludedSections(excludedSet);
+            updateBtnUI();
+            updateFilteredSectionStats();
+        };
+    }
+    function taskPageProblemId() {
+        var _a;
+        return ((_a = /\/problemset\/task\/(\d+)/.exec(location.pathname)) === null || _a === void 0 ? void 0 : _a[1]) || null;
+    }
+    /** Solved per the cache, or per the CSES icon seen on the last list visit (the cache may not have it yet). */
+    function isSolvedForNav(task) {
+        return task.page === 'solved' || statusFromMeta(readCachedMeta(task.id)) === 'solved';
+    }
+    /** Page text made safe for an HTML string (element content or a double-quoted attribute). */
+    function navLink(task, text, dark) {
+        if (!task) {
+            const none = document.createElement('span');
+            none.style.color = dark ? '#777' : '#999';
+            none.textContent = `${text}: none`;
+            return none;
+        }
+        const link = document.createElement('a');
+        link.href = `/problemset/task/${task.id}/`;
+        link.title = task.title;
+        link.textContent = `${text}: ${task.title}`;
+        return link;
+    }
+    /** Attempt summary and section navigation under the title of a task page. */
+    function renderTaskBanner(fetched) {
+        const problemId = taskPageProblemId();
+        if (!problemId)
+            return;
+        const titleEl = document.querySelector('.title-block h1') || document.querySelector('h1');
+        if (!titleEl)
+            return;
+        const dark = isDarkTheme();
+        let banner = document.getElementById('cses-task-banner');
+        if (!banner) {
+            banner = document.createElement('div');
+            banner.id = 'cses-task-banner';
+            banner.setAttribute('role', 'region');
+            banner.setAttribute('aria-label', 'Your progress on this task');
+            banner.style.cssText = `margin:6px 0;padding:4px 8px;border-radius:6px;font:12px system-ui;line-height:1.5;` +
+                `background:${dark ? 'rgba(255,255,255,0.05)' : 'rgba(0,0,0,0.04)'};border:1px solid ${dark ? '#444' : '#ddd'};`;
+            titleEl.after(banner);
+        }
+        const meta = readCachedMeta(problemId) || fetched || null;
+        const fmt = (d) => (d ? toISODate(d) : '?');
+        const parts = [];
+        if (!meta)
+            parts.push('Loading submission history…');
+        else if (!meta.attempted)
+            parts.push('Not attempted yet.');
+        else if (!meta.submissions.length)
+            parts.push(`Last submission ${fmt(meta.date)} (refresh for the full history).`);
+        else {
+            const accepted = meta.submissions.filter(x => x.verdict === ACCEPTED).length;
+            parts.push(`First attempt ${fmt(meta.firstAttempt)}`, `last attempt ${fmt(meta.date)}`, `${meta.submissions.length} attempt${meta.submissions.length === 1 ? '' : 's'} (${accepted} accepted)`, meta.firstAccepted ? `solved ${fmt(meta.firstAccepted)}` + (meta.lastAccepted && toISODate(meta.lastAccepted) !== toISODate(meta.firstAccepted) ? `, last accepted ${fmt(meta.lastAccepted)}` : '') : 'not solved yet');
+        }
+        const flags = [];
+        if (meta && statusFromMeta(meta) === 'solved') {
+            const mode = getDateMode();
+            const date = filterDate(meta, mode);
+            const range = getDateRange();
+            if (date && !isUnfilteredRange(range) && !isInRange(date, range))
+                flags.push(`◷ Historic: ${DATE_MODE_LABELS[mode]} is outside ${describeRange(range)}`);
+        }
+        const due = dueForReview(problemId);
+        if (due)
+            flags.push(`Due for review since ${toISODate(due)}`);
+        const structure = loadListStructure();
+        const section = structure && structure.sections.find(sec => sec.tasks.some(t => t.id === problemId));
+        const nav = document.createElement('nav');
+        nav.setAttribute('aria-label', 'Section navigation');
+        nav.style.marginTop = '2px';
+        if (!section) {
+            const hint = document.createElement('span');
+            hint.style.color = dark ? '#999' : '#777';
+            hint.textContent = 'Open the problem list once to enable section navigation.';
+            nav.append(hint);
+        }
+        else {
+            const at = section.tasks.findIndex(t => t.id === problemId);
+            const before = section.tasks.slice(0, at).reverse(), after = section.tasks.slice(at + 1);
+            const unsolved = (t) => !isSolvedForNav(t);
+            nav.append(`${section.title}: `, navLink(before.find(unsolved), '‹ Previous unsolved', dark), ' · ', navLink(after.find(unsolved), 'Next unsolved ›', dark));
+            if (isReviewMode()) {
+                const isDue = (t) => !!dueForReview(t.id);
+                nav.append(' · ', navLink(before.find(isDue), '‹ Previous due', dark), ' · ', navLink(after.find(isDue), 'Next due ›', dark));
+            }
+        }
+        const entry = loadNotes()[problemId];
+        const summary = document.createElement('div');
+        summary.className = 'cses-task-summary';
+        summary.textContent = parts.join(' · ');
+        const flagsEl = document.createElement('div');
+        flagsEl.className = 'cses-task-flags';
+        flagsEl.style.color = dark ? '#8ab4f8' : '#1f5fbf';
+        flagsEl.textContent = flags.join(' · ');
+        const noteEl = document.createElement('div');
+        noteEl.className = 'cses-task-note';
+        noteEl.style.marginTop = '2px';
+        const noteText = document.createElement('span');
+        noteText.className = 'cses-task-note-text';
+        noteText.style.whiteSpace = 'pre-wrap';
+        noteText.textContent = entry && entry.note ? '📝 ' + entry.note : '';
+        noteEl.append(noteText);
+        banner.replaceChildren(summary, ...(flags.length ? [flagsEl] : []), nav, noteEl);
+        const edit = document.createElement('button');
+        edit.type = 'button';
+        edit.className = 'cses-note-btn cses-has-note';
+        edit.textContent = entry ? '✎ Edit note/tags' : '✎ Add note/tags';
+        edit.addEventListener('click', () => openNoteEditor(problemId, (titleEl.textContent || '').trim() || `#${problemId}`));
+        noteEl.append(...(entry ? entry.tags.map(tagChip) : []), edit);
+    }
+    /**
+     * Fetch and archive the code of every cached accepted submission of a problem that is not archived yet.
+     * Resolves to the number of sources added.
+     */
+    async function archiveAcceptedCode(problemId) {
+        const meta = await getSubmissionMeta(problemId, null, 'manual');
+        const accepted = meta.submissions.filter(sub => sub.verdict === ACCEPTED && resultIdFromUrl(sub.resultUrl));
+        let added = 0;
+        await Promise.all(accepted.map(async (sub) => {
+            const resultId = resultIdFromUrl(sub.resultUrl);
+            if (await sourceArchive.has(resultId))
+                return;
+            try {
+                const html = await fetchScheduler.schedule('code:' + resultId, 'manual', () => fetchViewContent(sub.resultUrl));
+                const code = extractSourceCode(new DOMParser().parseFromString(html, 'text/html'));
+                if (!code)
+                    return;
+                await sourceArchive.put({ id: resultId, problemId, t: sub.time.toISOString(), lang: sub.language, code, savedAt: Date.now() });
+                added++;
+            }
+            catch (e) {
+                if (!(e instanceof CancelledError))
+                    console.error('[CSES Filter] Failed to archive code', problemId, resultId, e);
+            }
+        }));
+        return added;
+    }
+    function archiveWithStatus(problemId, title) {
+        setStatus(`Archiving accepted code of ${title}…`);
+        return archiveAcceptedCode(problemId).then(n => {
+            setStatus(n ? `Archived ${n} accepted solution${n === 1 ? '' : 's'} of ${title}.` : `No new accepted code to archive for ${title}.`);
+            renderCodeDiff();
+        });
+    }
+    /** Line diff via longest common subsequence; a deletion followed by an insertion pairs up as "changed" rows. */
+    function diffLines(a, b) {
+        const n = a.length, m = b.length;
+        const rows = [];
+        // Very long files skip the quadratic table and show up as fully changed
+        if (n * m > 4000000) {
+            for (let i = 0; i < Math.max(n, m); i++)
+                rows.push({ kind: i < n && i < m ? 'changed' : i < n ? 'del' : 'add', a: i < n ? i : null, b: i < m ? i : null });
+            return rows;
+        }
+        const lcs = new Uint32Array((n + 1) * (m + 1));
+        for (let i = n - 1; i >= 0; i--) {
+            for (let j = m - 1; j >= 0; j--) {
+                lcs[i * (m + 1) + j] = a[i] === b[j] ? lcs[(i + 1) * (m + 1) + j + 1] + 1 : Math.max(lcs[(i + 1) * (m + 1) + j], lcs[i * (m + 1) + j + 1]);
+            }
+        }
+        let i = 0, j = 0;
+        const dels = [], adds = [];
+        const flush = () => {
+            var _a, _b;
+            for (let k = 0; k < Math.max(dels.length, adds.length); k++) {
+                const da = (_a = dels[k]) !== null && _a !== void 0 ? _a : null, db = (_b = adds[k]) !== null && _b !== void 0 ? _b : null;
+                rows.push({ kind: da !== null && db !== null ? 'changed' : da !== null ? 'del' : 'add', a: da, b: db });
+            }
+            dels.length = 0;
+            adds.length = 0;
+        };
+        while (i < n || j < m) {
+            if (i < n && j < m && a[i] === b[j]) {
+                flush();
+                rows.push({ kind: 'same', a: i++, b: j++ });
+            }
+            else if (j < m && (i >= n || lcs[i * (m + 1) + j + 1] >= lcs[(i + 1) * (m + 1) + j]))
+                adds.push(j++);
+            else
+                dels.push(i++);
+        }
+        flush();
+        return rows;
+    }
+    /** Side-by-side table of two sources: older on the left, newer on the right. */
+    function renderDiffTable(older, newer, dark) {
+        const a = older.code.split('\n'), b = newer.code.split('\n');
+        const bg = { del: dark ? 'rgba(255,80,80,0.18)' : '#fde8e8', add: dark ? 'rgba(80,200,80,0.18)' : '#e6f6e6' };
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse:collapse;width:100%;table-layout:fixed;font:12px ui-monospace,monospace;';
+        const tbody = document.createElement('tbody');
+        diffLines(a, b).forEach(row => {
+            const tr = document.createElement('tr');
+            const side = (index, lines, changedBg, mark) => {
+                const num = document.createElement('td');
+                num.style.cssText = `width:3.5em;text-align:right;padding:0 6px;color:${dark ? '#777' : '#999'};user-select:none;vertical-align:top;`;
+                num.textContent = index === null ? '' : String(index + 1);
+                const code = document.createElement('td');
+                code.style.cssText = 'white-space:pre-wrap;word-break:break-all;padding:0 4px;vertical-align:top;' + (row.kind !== 'same' && index !== null ? `background:${changedBg};` : '');
+                // A text marker besides the color, for screen readers and color-blind users
+                if (row.kind !== 'same' && index !== null)
+                    code.setAttribute('aria-label', `${mark} ${lines[index]}`);
+                code.textContent = index === null ? '' : lines[index];
+                tr.append(num, code);
+            };
+            side(row.a, a, bg.del, 'removed:');
+            side(row.b, b, bg.add, 'added:');
+            tbody.appendChild(tr);
+        });
+        table.appendChild(tbody);
+        return table;
+    }
+    let codeDiffRender = 0;
+    /** Archived accepted solutions on a task page, with a diff of the previous one against the latest by default. */
+    async function renderCodeDiff() {
+        var _a, _b;
+        const problemId = taskPageProblemId();
+        const banner = document.getElementById('cses-task-banner');
+        if (!problemId || !banner)
+            return;
+        const generation = ++codeDiffRender;
+        const sources = await sourceArchive.list(problemId).catch(() => []);
+        if (generation !== codeDiffRender)
+            return;
+        const dark = isDarkTheme();
+        let box = document.getElementById('cses-code-diff');
+        if (!box) {
+            box = document.createElement('details');
+            box.id = 'cses-code-diff';
+            box.style.cssText = `margin:6px 0;font:12px system-ui;border:1px solid ${dark ? '#444' : '#ddd'};border-radius:6px;padding:4px 8px;`;
+            box.open = sources.length >= 2;
+            banner.after(box);
+        }
+        const title = ((_b = (_a = (document.querySelector('.title-block h1') || document.querySelector('h1'))) === null || _a === void 0 ? void 0 : _a.textContent) === null || _b === void 0 ? void 0 : _b.trim()) || `#${problemId}`;
+        box.replaceChildren();
+        const summary = document.createElement('summary');
+        summary.style.cssText = 'cursor:pointer;font-weight:600;';
+        summary.textContent = `Archived accepted code (${sources.length})`;
+        const controls = document.createElement('div');
+        controls.style.cssText = 'display:flex;flex-wrap:wrap;align-items:center;gap:6px;margin:4px 0;';
+        const fetchBtn = document.createElement('button');
+        fetchBtn.type = 'button';
+        fetchBtn.textContent = 'Archive accepted code';
+        fetchBtn.title = 'Fetch the code of cached accepted submissions that are not archived yet';
+        fetchBtn.style.fontSize = '11px';
+        fetchBtn.addEventListener('click', () => { fetchBtn.disabled = true; archiveWithStatus(problemId, title); });
+        controls.appendChild(fetchBtn);
+        box.append(summary, controls);
+        if (sources.length < 2) {
+            const note = document.createElement('div');
+            note.style.color = dark ? '#999' : '#777';
+            note.textContent = sources.length
+                ? 'Only one accepted solution is archived. Accepted code is saved when you open its result page, or with the button above.'
+                : 'No accepted code archived yet. It is saved when you open an accepted result page, or with the button above.';
+            box.appendChild(note);
+            return;
+        }
+        const label = (src) => `${new Date(src.t).toLocaleString()} · ${src.lang || '?'}`;
+        const select = (id, text, selected) => {
+            const sel = document.createElement('select');
+            sel.id = id;
+            sel.setAttribute('aria-label', text);
+            sel.style.fontSize = '11px';
+            sources.forEach((src, i) => sel.appendChild(new Option(label(src), String(i), false, i === selected)));
+            return sel;
+        };
+        const olderSel = select('cses-diff-older', 'Older solution', 1);
+        const newerSel = select('cses-diff-newer', 'Newer solution', 0);
+        controls.append('Compare', olderSel, 'with', newerSel);
+        const view = document.createElement('div');
+        view.style.cssText = 'max-height:60vh;overflow:auto;';
+        const draw = () => view.replaceChildren(renderDiffTable(sources[Number(olderSel.value)], sources[Number(newerSel.value)], dark));
+        olderSel.addEventListener('change', draw);
+        newerSel.addEventListener('change', draw);
+        box.appendChild(view);
+        draw();
+    }
+    function tagCounts(notes) {
+        const counts = new Map();
+        Object.values(notes).forEach(n => n.tags.forEach(t => counts.set(t, (counts.get(t) || 0) + 1)));
+        return new Map(Array.from(counts).sort((a, b) => a[0].localeCompare(b[0])));
+    }
+    /** Fill the toolbar's tag select; a selected tag that no problem carries any more stays listed with 0. */
+    function renderTagOptions(selected) {
+        const select = document.getElementById('cses-task-tag');
+        if (!select)
+            return;
+        const counts = tagCounts(loadNotes());
+        if (selected && !counts.has(selected))
+            counts.set(selected, 0);
+        select.replaceChildren(new Option('All tags', ''), ...Array.from(counts, ([tag, n]) => new Option(`#${tag} (${n})`, tag)));
+        select.value = selected;
+    }
+    function filterByTag(tag) {
+        saveTaskView({ ...taskView, tag });
+        setTaskToolbarControls(taskView);
+        setStatus(`Showing tasks tagged #${tag}.`);
+    }
+    function tagChip(tag) {
+        const chip = document.createElement('button');
+        chip.type = 'button';
+        chip.className = 'cses-tag-chip';
+        chip.textContent = '#' + tag;
+        chip.title = /\/problemset\/list\/?/.test(location.pathname) ? `Show only tasks tagged #${tag}` : `Tag #${tag}`;
+        chip.addEventListener('click', e => {
+            e.preventDefault();
+            if (document.getElementById('cses-task-toolbar'))
+                filterByTag(tag);
+        });
+        return chip;
+    }
+    /** Note button and tag chips after the title link of every task row on the list page. */
+    function renderAnnotations() {
+        if (!/\/problemset\/list\/?/.test(location.pathname))
+            return;
+        const notes = loadNotes();
+        document.querySelectorAll('ul.task-list li.task').forEach(li => {
+            const id = taskRowProblemId(li);
+            const link = li.querySelector('a[href*="/problemset/task/"]');
+            if (!id || !link)
+                return;
+            li.querySelectorAll('.cses-tag-chip, .cses-note-btn').forEach(n => n.remove());
+            const entry = notes[id];
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'cses-note-btn' + (entry ? ' cses-has-note' : '');
+            btn.textContent = entry && entry.note ? '📝' : '✎';
+            btn.title = entry && entry.note ? entry.note : 'Add a note or tags';
+            btn.setAttribute('aria-label', `Note and tags for ${cellText(link)}`);
+            btn.addEventListener('click', e => { e.preventDefault(); openNoteEditor(id, cellText(link)); });
+            link.after(...(entry ? entry.tags.map(tagChip) : []), btn);
+        });
+    }
+    function openNoteEditor(problemId, title) {
+        const box = openOverlay('cses-note-editor', `Note and tags for ${title}`);
+        const dark = isDarkTheme();
+        const entry = loadNotes()[problemId];
+        const field = `width:100%;box-sizing:border-box;padding:4px 6px;font:13px system-ui;margin:2px 0 6px;background:${dark ? '#1e1e1e' : '#fff'};color:inherit;border:1px solid ${dark ? '#555' : '#bbb'};`;
+        box.innerHTML = `
+      <div style="font-weight:600;margin-bottom:6px;"></div>
+      <label for="cses-note-text">Note</label>
+      <textarea id="cses-note-text" rows="4" maxlength="1000" style="${field}resize:vertical;"></textarea>
+      <label for="cses-note-tags">Tags <span style="opacity:0.7;">(comma separated)</span></label>
+      <input type="text" id="cses-note-tags" list="cses-note-tag-list" style="${field}" />
+      <datalist id="cses-note-tag-list"></datalist>
+      <div style="display:flex;justify-content:flex-end;gap:6px;">
+        <button type="button" id="cses-note-cancel">Cancel</button>
+        <button type="button" id="cses-note-save" title="Ctrl+Enter">Save</button>
+      </div>`;
+        box.firstElementChild.textContent = title;
+        const text = box.querySelector('#cses-note-text');
+        const tags = box.querySelector('#cses-note-tags');
+        text.value = entry ? entry.note : '';
+        tags.value = entry ? entry.tags.join(', ') : '';
+        box.querySelector('#cses-note-tag-list').replaceChildren(...Array.from(tagCounts(loadNotes()).keys(), t => new Option(t)));
+        const save = () => {
+            const notes = loadNotes();
+            const note = text.value.trim();
+            const list = Array.from(new Set(tags.value.split(',').map(normalizeTag).filter(Boolean)));
+            if (note || list.length)
+                notes[problemId] = { note, tags: list };
+            else
+                delete notes[problemId];
+            saveNotes(notes);
+            closeOverlay();
+            renderAnnotations();
+            setTaskToolbarControls(taskView);
+            renderTaskBanner();
+            setStatus(note || list.length ? `Saved note for ${title}.` : `Removed note for ${title}.`);
+        };
+        box.querySelector('#cses-note-save').addEventListener('click', save);
+        box.querySelector('#cses-note-cancel').addEventListener('click', closeOverlay);
+        box.addEventListener('keydown', e => { if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+            e.preventDefault();
+            save();
+        } });
+        text.focus();
+    }
+    let popover = null;
+    let popoverIcon = null;
+    let popoverShowTimer = null;
+    let popoverHideTimer = null;
+    let popoverReturnFocus = null;
+    function verdictColor(verdict, dark) {
+        if (verdict === ACCEPTED)
+            return dark ? '#6fcf6f' : '#2a7a2a';
+        if (!verdict)
+            return dark ? '#999' : '#777';
+        if (/PENDING|TESTING|READY/.test(verdict))
+            return dark ? '#8ab4f8' : '#1f5fbf';
+        return dark ? '#f08a7a' : '#b0302a';
+    }
+    function historySummary(meta) {
+        if (!meta.attempted)
+            return 'No submissions yet.';
+        if (!meta.submissions.length)
+            return `Only the last submission date is cached (${meta.date ? meta.date.toLocaleString() : 'unknown'}). Refresh to load the full history.`;
+        const accepted = meta.submissions.filter(s => s.verdict === ACCEPTED).length;
+        const ascending = meta.submissions.slice().reverse();
+        const firstAcc = ascending.findIndex(s => s.verdict === ACCEPTED);
+        const parts = [`${meta.submissions.length} submission${meta.submissions.length === 1 ? '' : 's'}, ${accepted} accepted`];
+        if (firstAcc >= 0)
+            parts.push(`solved on attempt ${firstAcc + 1}`);
+        if (meta.firstAttempt)
+            parts.push(`first try ${meta.firstAttempt.toLocaleDateString()}`);
+        return parts.join('; ') + '.';
+    }
+    function renderHistoryPopover(box, problemId, title, meta) {
+        const dark = isDarkTheme();
+        box.replaceChildren();
+        const head = document.createElement('div');
+        head.style.cssText = 'display:flex;align-items:center;gap:8px;margin-bottom:4px;';
+        const name = document.createElement('a');
+        name.href = `/problemset/task/${problemId}/`;
+        name.textContent = title;
+        name.style.cssText = 'font-weight:600;color:inherit;';
+        const refresh = document.createElement('button');
+        refresh.type = 'button';
+        refresh.textContent = 'Refresh';
+        refresh.title = 'Refetch this problem\'s submissions';
+        refresh.style.cssText = `margin-left:auto;font-size:11px;padding:0 6px;cursor:pointer;border-radius:4px;border:1px solid ${dark ? '#555' : '#bbb'};background:${dark ? '#2a2a2a' : '#f5f5f5'};color:${dark ? '#ddd' : '#222'};`;
+        refresh.addEventListener('click', () => {
+            renderHistoryPopover(box, problemId, title, null);
+            const icon = popoverIcon;
+            refreshProblem(problemId, icon, true).then(() => {
+                if (popover === box && popoverIcon === icon)
+                    renderHistoryPopover(box, problemId, title, readCachedMeta(problemId));
+            });
+        });
+        head.append(name, refresh);
+        if (meta && meta.submissions.some(sub => sub.verdict === ACCEPTED && sub.resultUrl)) {
+            const archive = document.createElement('button');
+            archive.type = 'button';
+            archive.textContent = 'Archive code';
+            archive.title = 'Save the code of the accepted submissions for later comparison';
+            archive.style.cssText = refresh.style.cssText + 'margin-left:0;';
+            archive.addEventListener('click', () => { archive.disabled = true; archiveWithStatus(problemId, title); });
+            head.appendChild(archive);
+        }
+        box.appendChild(head);
+        const summary = document.createElement('div');
+        summary.style.cssText = 'margin-bottom:4px;color:' + (dark ? '#bbb' : '#555') + ';';
+        summary.textContent = meta ? historySummary(meta) : 'Loading submissions…';
+        box.appendChild(summary);
+        if (!meta || !meta.submissions.length)
+            return;
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse:collapse;font-size:11px;width:100%;';
+        const th = (t) => `<th style="text-align:left;padding:1px 6px 1px 0;font-weight:600;">${t}</th>`;
+        table.innerHTML = `<thead><tr>${th('Time')}${th('Verdict')}${th('Language')}${th('')}</tr></thead>`;
+        const tbody = document.createElement('tbody');
+        meta.submissions.forEach(sub => {
+            const tr = document.createElement('tr');
+            const td = (content, color) => {
+                const cell = document.createElement('td');
+                cell.style.cssText = 'padding:1px 6px 1px 0;white-space:nowrap;' + (color ? `color:${color};` : '');
+                cell.append(content);
+                tr.appendChild(cell);
+            };
+            td(sub.time.toLocaleString());
+            td(sub.verdict || '?', verdictColor(sub.verdict, dark));
+            td(sub.language || '');
+            if (sub.resultUrl) {
+                const a = document.createElement('a');
+                a.href = sub.resultUrl;
+                a.textContent = 'result';
+                td(a);
             }
-            aggFilteredSolved += (filt.solved || 0);
-            aggFilteredWrong += (filt.wrong || 0);
-            aggFilteredUnatt += (filt.unattended || 0);
+            else
+                td('');
+            tbody.appendChild(tr);
         });
-        const general = sections.find(s => getHeadingTitle(s.heading).startsWith('general'));
-        if (general) {
-            const h = general.heading;
-            let overallBadge = h.querySelector(':scope > .cses-section-stats');
-            if (!overallBadge) {
-                overallBadge = document.createElement('span');
-                overallBadge.className = 'cses-section-stats';
-                overallBadge.style.cssText = 'margin-right:6px;font-weight:normal;font-size:0.75em;color:#888;';
-                h.prepend(overallBadge);
+        table.appendChild(tbody);
+        const scroller = document.createElement('div');
+        scroller.style.cssText = 'max-height:220px;overflow-y:auto;';
+        scroller.appendChild(table);
+        box.appendChild(scroller);
+    }
+    function positionPopover(box, icon) {
+        const r = icon.getBoundingClientRect();
+        const w = box.offsetWidth || 320, h = box.offsetHeight || 120;
+        let left = r.right + 8, top = r.top - 4;
+        if (left + w > window.innerWidth - 8)
+            left = Math.max(8, r.left - w - 8);
+        if (top + h > window.innerHeight - 8)
+            top = Math.max(8, window.innerHeight - h - 8);
+        box.style.left = left + 'px';
+        box.style.top = top + 'px';
+    }
+    function hideHistoryPopover() {
+        if (popoverShowTimer !== null) {
+            window.clearTimeout(popoverShowTimer);
+            popoverShowTimer = null;
+        }
+        const hadFocus = !!popover && popover.contains(document.activeElement);
+        if (popover)
+            popover.remove();
+        popover = null;
+        popoverIcon = null;
+        if (hadFocus && popoverReturnFocus)
+            popoverReturnFocus.focus();
+        popoverReturnFocus = null;
+    }
+    /** Open the submission history for the problem behind `icon`, loading it from cache or the submit page. */
+    function showHistoryPopover(icon, takeFocus = false) {
+        const problemId = icon.getAttribute('data-problem-id') || extractProblemId(icon);
+        if (!problemId)
+            return;
+        if (popoverIcon === icon && popover) {
+            if (takeFocus)
+                popover.focus();
+            return;
+        }
+        hideHistoryPopover();
+        const dark = isDarkTheme();
+        const box = document.createElement('div');
+        box.id = 'cses-history-popover';
+        box.setAttribute('role', 'dialog');
+        box.tabIndex = -1;
+        box.style.cssText = `position:fixed;z-index:10001;min-width:260px;max-width:420px;padding:6px 8px;border-radius:6px;font:12px system-ui;` +
+            `background:${dark ? 'rgba(32,32,32,0.97)' : 'rgba(255,255,255,0.98)'};color:${dark ? '#eee' : '#222'};` +
+            `border:1px solid ${dark ? '#444' : '#ccc'};box-shadow:0 2px 8px rgba(0,0,0,${dark ? '0.6' : '0.2'});`;
+        box.addEventListener('mouseenter', () => { if (popoverHideTimer !== null) {
+            window.clearTimeout(popoverHideTimer);
+            popoverHideTimer = null;
+        } });
+        box.addEventListener('mouseleave', scheduleHidePopover);
+        popover = box;
+        popoverIcon = icon;
+        const title = extractProblemTitle(icon);
+        box.setAttribute('aria-label', `Submission history: ${title}`);
+        const cached = readCachedMeta(problemId);
+        renderHistoryPopover(box, problemId, title, cached);
+        document.body.appendChild(box);
+        positionPopover(box, icon);
+        if (takeFocus) {
+            // Keyboard users get focus back on the task when the popover closes
+            popoverReturnFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+            box.focus();
+        }
+        if (!cached) {
+            getSubmissionMeta(problemId, icon, 'manual').then(meta => {
+                if (popover !== box)
+                    return;
+                renderHistoryPopover(box, problemId, title, meta);
+                positionPopover(box, icon);
+            });
+        }
+    }
+    function scheduleHidePopover() {
+        if (popoverHideTimer !== null)
+            window.clearTimeout(popoverHideTimer);
+        popoverHideTimer = window.setTimeout(() => { popoverHideTimer = null; hideHistoryPopover(); }, 250);
+    }
+    function initHistoryPopover() {
+        document.addEventListener('mouseover', e => {
+            const icon = e.target instanceof Element ? e.target.closest('span.task-score.icon') : null;
+            if (!icon)
+                return;
+            if (popoverHideTimer !== null) {
+                window.clearTimeout(popoverHideTimer);
+                popoverHideTimer = null;
             }
-            overallBadge.innerHTML = `[<span style="color:#ccc;">${aggTotal}</span> / <span style="color:#3c9b3c;">${aggSolved}</span> / <span style=\"color:#d28b26;\">${aggWrong}</span> / <span style=\"color:#777;\">${aggUnatt}</span>] `;
-            overallBadge.title = 'Overall totals across all included sections: total / solved / wrong / unattended';
-            let filteredBadge = h.querySelector(':scope > .cses-section-stats-filter');
-            if (!filteredBadge) {
-                filteredBadge = document.createElement('span');
-                filteredBadge.className = 'cses-section-stats-filter';
-                filteredBadge.style.cssText = 'margin-left:8px;font-weight:normal;font-size:0.7em;color:#5aa;';
-                h.appendChild(filteredBadge);
+            if (popoverShowTimer !== null)
+                window.clearTimeout(popoverShowTimer);
+            popoverShowTimer = window.setTimeout(() => { popoverShowTimer = null; showHistoryPopover(icon); }, 300);
+        });
+        document.addEventListener('mouseout', e => {
+            const icon = e.target instanceof Element ? e.target.closest('span.task-score.icon') : null;
+            if (!icon)
+                return;
+            if (popoverShowTimer !== null) {
+                window.clearTimeout(popoverShowTimer);
+                popoverShowTimer = null;
             }
-            filteredBadge.innerHTML = `[filtered <span style=\"color:#3c9b3c;\">${aggFilteredSolved}</span> / <span style=\"color:#d28b26;\">${aggFilteredWrong}</span> / <span style=\"color:#777;\">${aggFilteredUnatt}</span>]`;
-            filteredBadge.title = 'Aggregate filtered counts (date threshold) across included sections';
+            if (popover)
+                scheduleHidePopover();
+        });
+        document.addEventListener('keydown', e => { if (e.key === 'Escape')
+            hideHistoryPopover(); });
+        window.addEventListener('scroll', () => { if (popover && popoverIcon)
+            positionPopover(popover, popoverIcon); }, { passive: true });
+    }
+    /** Element under the mouse, for commands that act on "the hovered problem/section". */
+    let hoveredElement = null;
+    let jumpCursor = null;
+    function normalizeKeyCombo(e) {
+        if (e.key === 'Control' || e.key === 'Alt' || e.key === 'Shift' || e.key === 'Meta')
+            return null;
+        // Shift is already part of printable keys ('{', 'K'), so it is only spelled out for named keys
+        const key = e.key === ' ' ? 'Space' : e.key.length === 1 ? e.key : e.key.charAt(0).toUpperCase() + e.key.slice(1);
+        const mods = [e.ctrlKey ? 'Ctrl' : '', e.altKey ? 'Alt' : '', e.metaKey ? 'Meta' : '', e.shiftKey && e.key.length > 1 ? 'Shift' : ''].filter(Boolean);
+        return mods.concat(key.length === 1 && (e.ctrlKey || e.altKey || e.metaKey) ? key.toLowerCase() : key).join('+');
+    }
+    /** Move the range (both ends, when set) by whole days or calendar months. */
+    function shiftRange(days, months = 0) {
+        var _a, _b;
+        const shift = (value) => {
+            if (!value)
+                return '';
+            const d = new Date(value + 'T00:00:00');
+            if (months)
+                d.setMonth(d.getMonth() + months);
+            return toISODate(addDays(d, days));
+        };
+        const from = ((_a = document.getElementById('cses-threshold-date')) === null || _a === void 0 ? void 0 : _a.value) || toISODate(new Date());
+        const to = ((_b = document.getElementById('cses-threshold-date-to')) === null || _b === void 0 ? void 0 : _b.value) || '';
+        setDateRange(shift(from), shift(to));
+        setStatus(`Range moved to ${describeRange(getDateRange())}.`);
+    }
+    /** Section under the mouse or keyboard focus, else the one whose heading was scrolled past last. */
+    function focusedSection() {
+        const sections = findSections().filter(s => s.list && !getHeadingTitle(s.heading).startsWith('general'));
+        const anchor = hoveredElement || document.activeElement;
+        const hit = anchor && sections.find(s => s.heading.contains(anchor) || (s.list && s.list.contains(anchor)));
+        if (hit)
+            return hit;
+        let current = null;
+        sections.forEach(s => { if (s.heading.getBoundingClientRect().top < 120)
+            current = s; });
+        return current || sections[0] || null;
+    }
+    function toggleFocusedSection() {
+        const section = focusedSection();
+        const btn = section && section.heading.querySelector(':scope > .cses-section-toggle');
+        if (!section || !btn) {
+            setStatus('No section to toggle here.');
+            return;
         }
+        btn.click();
+        setStatus(`${section.heading.dataset.excluded === '1' ? 'Excluded' : 'Included'} ${getHeadingLabel(section.heading)}.`);
     }
-    function addSectionToggle(section) {
-        const { heading, list } = section;
-        if (!list)
+    /** Icon of the task that has keyboard focus, else of the one under the mouse. */
+    function targetTaskIcon() {
+        var _a;
+        const focused = document.activeElement && document.activeElement.closest('li.task');
+        if (focused)
+            return focused.querySelector('span.task-score.icon');
+        if (!hoveredElement)
+            return null;
+        return (hoveredElement.closest('span.task-score.icon') || ((_a = hoveredElement.closest('li.task')) === null || _a === void 0 ? void 0 : _a.querySelector('span.task-score.icon')) || null);
+    }
+    function refreshHovered() {
+        const icon = targetTaskIcon();
+        const problemId = icon && (icon.getAttribute('data-problem-id') || extractProblemId(icon));
+        if (!icon || !problemId) {
+            setStatus('Hover or focus a problem to refresh it.');
             return;
-        const title = getHeadingTitle(heading);
-        if (title.startsWith('general'))
+        }
+        setStatus(`Refreshing problem ${problemId}...`);
+        refreshProblem(problemId, icon, true).then(() => setStatus(`Refreshed problem ${problemId}.`));
+    }
+    /** Scroll to the next visible task (after the last jump, wrapping) that matches `pick`. */
+    function jumpToTask(pick, what) {
+        const tasks = Array.from(document.querySelectorAll('ul.task-list li.task'))
+            .filter(li => !li.closest('.cses-view-hidden, .cses-view-empty') && li.parentElement.style.display !== 'none');
+        if (!tasks.length)
+            return;
+        let start = jumpCursor ? tasks.indexOf(jumpCursor) + 1 : tasks.findIndex(li => li.getBoundingClientRect().top >= 0);
+        if (start < 0)
+            start = 0;
+        for (let i = 0; i < tasks.length; i++) {
+            const li = tasks[(start + i) % tasks.length];
+            if (!pick(li))
+                continue;
+            jumpCursor = li;
+            li.scrollIntoView({ block: 'center' });
+            const link = li.querySelector('a');
+            if (link)
+                link.focus({ preventScroll: true });
+            li.classList.add('cses-jump-target');
+            window.setTimeout(() => li.classList.remove('cses-jump-target'), 1500);
+            setStatus(`Next ${what}: ${link ? cellText(link) : ''}`);
             return;
-        const excludedSet = loadExcludedSections();
-        let btn = heading.querySelector(':scope > .cses-section-toggle');
-        if (!btn) {
-            btn = document.createElement('button');
-            btn.className = 'cses-section-toggle';
-            btn.type = 'button';
-            btn.style.marginLeft = '8px';
-            btn.style.fontSize = '11px';
-            btn.style.padding = '1px 6px';
-            btn.style.borderRadius = '4px';
-            btn.style.cursor = 'pointer';
-            const dark = isDarkTheme();
-            btn.style.border = '1px solid ' + (dark ? '#555' : '#bbb');
-            btn.style.background = dark ? '#2a2a2a' : '#f5f5f5';
-            btn.style.color = dark ? '#ddd' : '#222';
-            heading.appendChild(btn);
         }
-        const key = title;
-        if (excludedSet.has(key)) {
-            heading.dataset.excluded = '1';
-            list.style.display = 'none';
+        setStatus(`No ${what} problems in view.`);
+    }
+    function clickPanelButton(id) {
+        const el = document.getElementById(id);
+        if (el)
+            el.click();
+    }
+    /** Everything the palette lists; `defaultKey` is the shortcut unless overridden in `cses:shortcuts`. */
+    const COMMANDS = [
+        { id: 'dayBack', label: 'Range: one day earlier', defaultKey: '[', run: () => shiftRange(-1) },
+        { id: 'dayForward', label: 'Range: one day later', defaultKey: ']', run: () => shiftRange(1) },
+        { id: 'weekBack', label: 'Range: one week earlier', defaultKey: '{', run: () => shiftRange(-7) },
+        { id: 'weekForward', label: 'Range: one week later', defaultKey: '}', run: () => shiftRange(7) },
+        { id: 'monthBack', label: 'Range: one month earlier', defaultKey: '<', run: () => shiftRange(0, -1) },
+        { id: 'monthForward', label: 'Range: one month later', defaultKey: '>', run: () => shiftRange(0, 1) },
+        { id: 'toggleSection', label: 'Exclude/include the focused section', defaultKey: 'x', run: toggleFocusedSection },
+        { id: 'refreshHovered', label: 'Refresh the focused or hovered problem', defaultKey: 'r', run: refreshHovered },
+        { id: 'history', label: 'Show submission history of the focused or hovered problem', defaultKey: 'h', run: () => {
+                const icon = targetTaskIcon();
+                if (!icon) {
+                    setStatus('Hover or focus a problem to see its history.');
+                    return;
+                }
+                showHistoryPopover(icon, true);
+            } },
+        { id: 'archiveCode', label: 'Archive accepted code of the focused or hovered problem', defaultKey: null, run: () => {
+                const icon = targetTaskIcon();
+                const id = icon && extractProblemId(icon);
+                if (!icon || !id) {
+                    setStatus('Hover or focus a problem to archive its code.');
+                    return;
+                }
+                archiveWithStatus(id, extractProblemTitle(icon));
+            } },
+        { id: 'nextUnsolved', label: 'Jump to the next unsolved problem', defaultKey: 'n', run: () => jumpToTask(li => { const b = taskBucket(li); return b === 'wrong' || b === 'unattended'; }, 'unsolved') },
+        { id: 'nextDue', label: 'Jump to the next problem due for review', defaultKey: 'd', run: () => {
+                if (!isReviewMode()) {
+                    setStatus('Review mode is off.');
+                    return;
+                }
+                jumpToTask(li => !!li.querySelector('span.task-score.icon.cses-due'), 'due');
+            } },
+        { id: 'randomPick', label: 'Jump to a random pick from the Next up list', defaultKey: null, run: pickRandomTask },
+        { id: 'focusDate', label: 'Focus the "from" date', defaultKey: 'f', run: () => { var _a; return (_a = document.getElementById('cses-threshold-date')) === null || _a === void 0 ? void 0 : _a.focus(); } },
+        { id: 'toggleReview', label: 'Toggle review mode', defaultKey: null, run: () => clickPanelButton('cses-review-mode') },
+        { id: 'toggleActivity', label: 'Show/hide the activity charts', defaultKey: null, run: () => {
+                const box = document.getElementById('cses-activity');
+                if (box)
+                    box.open = !box.open;
+            } },
+        { id: 'saveProfile', label: 'Save the current filters as a profile', defaultKey: null, run: () => clickPanelButton('cses-profile-save') },
+        { id: 'shareProfile', label: 'Copy a share link for the current filters', defaultKey: null, run: () => clickPanelButton('cses-profile-share') },
+        { id: 'exportJson', label: 'Export progress as JSON', defaultKey: null, run: () => clickPanelButton('cses-export-json') },
+        { id: 'exportCsv', label: 'Export progress as CSV', defaultKey: null, run: () => clickPanelButton('cses-export-csv') },
+        { id: 'import', label: 'Import a JSON or CSV export', defaultKey: null, run: () => clickPanelButton('cses-import') },
+        { id: 'clearCache', label: 'Clear the submission cache', defaultKey: null, run: () => clickPanelButton('cses-clear-cache') },
+        { id: 'palette', label: 'Open the command palette', defaultKey: 'Ctrl+k', run: () => openCommandPalette() },
+        { id: 'help', label: 'Show keyboard shortcuts', defaultKey: '?', run: () => openShortcutHelp() }
+    ];
+    function loadShortcuts() {
+        let custom = {};
+        try {
+            custom = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || '{}') || {};
         }
-        const updateBtnUI = () => {
-            const excluded = heading.dataset.excluded === '1';
-            btn.textContent = excluded ? '🙈' : '👁';
-            btn.title = excluded ? 'Include Section' : 'Exclude Section';
-            btn.setAttribute('aria-label', btn.title);
+        catch { }
+        const map = {};
+        COMMANDS.forEach(c => {
+            const key = c.id in custom ? custom[c.id] : c.defaultKey;
+            if (typeof key === 'string' && key)
+                map[c.id] = key;
+        });
+        return map;
+    }
+    function saveShortcut(commandId, key) {
+        let custom = {};
+        try {
+            custom = JSON.parse(localStorage.getItem(SHORTCUTS_KEY) || '{}') || {};
+        }
+        catch { }
+        const cmd = COMMANDS.find(c => c.id === commandId);
+        if (cmd && key === cmd.defaultKey)
+            delete custom[commandId];
+        else
+            custom[commandId] = key;
+        try {
+            localStorage.setItem(SHORTCUTS_KEY, JSON.stringify(custom));
+        }
+        catch { }
+    }
+    let overlay = null;
+    let overlayReturnFocus = null;
+    function closeOverlay() {
+        if (overlay)
+            overlay.remove();
+        overlay = null;
+        if (overlayReturnFocus && document.contains(overlayReturnFocus))
+            overlayReturnFocus.focus();
+        overlayReturnFocus = null;
+    }
+    /** Centered themed box over a dimmed page; clicking the backdrop closes it. */
+    function openOverlay(id, label) {
+        closeOverlay();
+        const dark = isDarkTheme();
+        const backdrop = document.createElement('div');
+        backdrop.id = id;
+        overlayReturnFocus = document.activeElement instanceof HTMLElement ? document.activeElement : null;
+        backdrop.style.cssText = 'position:fixed;inset:0;z-index:10002;background:rgba(0,0,0,0.35);display:flex;align-items:flex-start;justify-content:center;padding-top:12vh;';
+        const box = document.createElement('div');
+        box.className = 'cses-overlay-box';
+        box.setAttribute('role', 'dialog');
+        box.setAttribute('aria-modal', 'true');
+        box.setAttribute('aria-label', label);
+        box.style.cssText = `width:min(460px,92vw);max-height:70vh;overflow-y:auto;padding:8px;border-radius:8px;font:13px system-ui;` +
+            `background:${dark ? '#202020' : '#fff'};color:${dark ? '#eee' : '#222'};border:1px solid ${dark ? '#444' : '#ccc'};box-shadow:0 6px 24px rgba(0,0,0,0.35);`;
+        backdrop.appendChild(box);
+        backdrop.addEventListener('mousedown', e => { if (e.target === backdrop)
+            closeOverlay(); });
+        document.body.appendChild(backdrop);
+        overlay = backdrop;
+        return box;
+    }
+    function keyChip(key, dark) {
+        if (!key)
+            return '';
+        const esc = key.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        return `<kbd style="font:11px ui-monospace,monospace;padding:0 4px;border-radius:3px;border:1px solid ${dark ? '#555' : '#bbb'};background:${dark ? '#2a2a2a' : '#f5f5f5'};">${esc}</kbd>`;
+    }
+    function openCommandPalette() {
+        const box = openOverlay('cses-command-palette', 'Command palette');
+        const dark = isDarkTheme();
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.placeholder = 'Type a command…';
+        input.setAttribute('aria-label', 'Command');
+        input.setAttribute('role', 'combobox');
+        input.setAttribute('aria-expanded', 'true');
+        input.setAttribute('aria-controls', 'cses-palette-list');
+        input.style.cssText = `width:100%;box-sizing:border-box;padding:4px 6px;font-size:13px;margin-bottom:6px;background:${dark ? '#1e1e1e' : '#fff'};color:inherit;border:1px solid ${dark ? '#555' : '#bbb'};`;
+        const list = document.createElement('div');
+        list.id = 'cses-palette-list';
+        list.setAttribute('role', 'listbox');
+        box.append(input, list);
+        const keys = loadShortcuts();
+        let matches = [];
+        let selected = 0;
+        const render = () => {
+            const q = input.value.trim().toLowerCase();
+            matches = COMMANDS.filter(c => c.id !== 'palette' && (!q || c.label.toLowerCase().includes(q)));
+            selected = Math.min(selected, Math.max(0, matches.length - 1));
+            list.replaceChildren(...matches.map((c, i) => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display:flex;justify-content:space-between;gap:8px;padding:3px 6px;border-radius:4px;cursor:pointer;' +
+                    (i === selected ? `background:${dark ? '#33415a' : '#dde7f7'};` : '');
+                row.id = 'cses-palette-' + c.id;
+                row.setAttribute('role', 'option');
+                row.setAttribute('aria-selected', String(i === selected));
+                if (i === selected)
+                    input.setAttribute('aria-activedescendant', row.id);
+                row.innerHTML = `<span></span>${keyChip(keys[c.id], dark)}`;
+                row.firstElementChild.textContent = c.label;
+                row.addEventListener('mousedown', e => { e.preventDefault(); run(c); });
+                return row;
+            }));
         };
-        updateBtnUI();
-        btn.onclick = () => {
-            const excluded = heading.dataset.excluded === '1';
-            if (excluded) {
-                delete heading.dataset.excluded;
-                list.style.display = '';
-                excludedSet.delete(key);
+        const run = (c) => { closeOverlay(); c.run(); };
+        input.addEventListener('input', () => { selected = 0; render(); });
+        input.addEventListener('keydown', e => {
+            if (e.key === 'ArrowDown') {
+                selected = Math.min(selected + 1, matches.length - 1);
+                render();
+                e.preventDefault();
             }
-            else {
-                heading.dataset.excluded = '1';
-                list.style.display = 'none';
-                excludedSet.add(key);
+            else if (e.key === 'ArrowUp') {
+                selected = Math.max(selected - 1, 0);
+                render();
+                e.preventDefault();
             }
-            saveExcludedSections(excludedSet);
-            updateBtnUI();
-            updateFilteredSectionStats();
+            else if (e.key === 'Enter') {
+                const c = matches[selected];
+                if (c)
+                    run(c);
+                e.preventDefault();
+            }
+            else if (e.key === 'Escape') {
+                closeOverlay();
+                e.preventDefault();
+            }
+            e.stopPropagation();
+        });
+        render();
+        input.focus();
+    }
+    /** Binding list; clicking a key records a new one (Escape cancels, Backspace clears). */
+    function openShortcutHelp() {
+        const box = openOverlay('cses-shortcut-help', 'Keyboard shortcuts');
+        const dark = isDarkTheme();
+        let recording = null;
+        // Re-rendering replaces the buttons, so focus is put back explicitly or key presses would leave the dialog
+        const render = (focusId = null) => {
+            const keys = loadShortcuts();
+            box.innerHTML = `<div style="display:flex;align-items:center;margin-bottom:6px;"><span style="font-weight:600;">Keyboard shortcuts</span>` +
+                `<button type="button" data-reset style="margin-left:auto;font-size:11px;padding:1px 6px;cursor:pointer;">Reset defaults</button></div>` +
+                `<div style="margin-bottom:6px;color:${dark ? '#aaa' : '#666'};font-size:12px;">Shortcuts are ignored while typing in a field. Click a key to change it.</div>`;
+            COMMANDS.forEach(c => {
+                const row = document.createElement('div');
+                row.style.cssText = 'display:flex;justify-content:space-between;align-items:center;gap:8px;padding:2px 0;';
+                const label = document.createElement('span');
+                label.textContent = c.label;
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.dataset.command = c.id;
+                btn.style.cssText = 'background:none;border:none;cursor:pointer;padding:0;color:inherit;';
+                btn.innerHTML = recording === c.id ? '<em>Press keys…</em>' : (keyChip(keys[c.id], dark) || `<span style="color:${dark ? '#777' : '#999'};">unset</span>`);
+                btn.setAttribute('aria-label', `${c.label}: ${keys[c.id] || 'unset'}. Change shortcut`);
+                btn.addEventListener('click', () => { recording = c.id; render(c.id); });
+                row.append(label, btn);
+                box.appendChild(row);
+            });
+            box.querySelector('[data-reset]').addEventListener('click', () => {
+                localStorage.removeItem(SHORTCUTS_KEY);
+                recording = null;
+                render();
+                setStatus('Keyboard shortcuts reset to defaults.');
+            });
+            const target = focusId && box.querySelector(`button[data-command="${focusId}"]`);
+            (target || box).focus();
         };
+        box.tabIndex = -1;
+        box.addEventListener('keydown', e => {
+            if (!recording) {
+                if (e.key === 'Escape')
+                    closeOverlay();
+                return;
+            }
+            e.preventDefault();
+            e.stopPropagation();
+            const id = recording;
+            if (e.key === 'Escape') {
+                recording = null;
+                render(id);
+                return;
+            }
+            const combo = e.key === 'Backspace' ? null : normalizeKeyCombo(e);
+            if (!combo && e.key !== 'Backspace')
+                return;
+            // A key can only do one thing; taking it away from another command unbinds that one
+            const keys = loadShortcuts();
+            Object.keys(keys).forEach(id => { if (combo && id !== recording && keys[id] === combo)
+                saveShortcut(id, null); });
+            saveShortcut(id, combo);
+            recording = null;
+            render(id);
+        });
+        render();
+    }
+    function isTypingTarget(el) {
+        return el instanceof HTMLElement && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+    }
+    function initShortcuts() {
+        document.addEventListener('mouseover', e => { hoveredElement = e.target instanceof Element ? e.target : null; }, { passive: true });
+        document.addEventListener('keydown', e => {
+            if (e.defaultPrevented)
+                return;
+            if (overlay) {
+                if (e.key === 'Escape') {
+                    closeOverlay();
+                    e.preventDefault();
+                }
+                return;
+            }
+            const combo = normalizeKeyCombo(e);
+            if (!combo)
+                return;
+            // Plain keys stay with form fields; modifier chords (Ctrl+K) work everywhere
+            if (isTypingTarget(e.target) && !(e.ctrlKey || e.metaKey || e.altKey))
+                return;
+            const keys = loadShortcuts();
+            const cmd = COMMANDS.find(c => keys[c.id] === combo);
+            if (!cmd)
+                return;
+            e.preventDefault();
+            cmd.run();
+        });
     }
     function applyFilter(forceRefetch = false) {
-        const threshold = getThresholdDate();
-        if (!threshold)
+        // Work queued for a previous range is obsolete: drop its pending fetches and ignore its late results
+        const generation = ++filterGeneration;
+        fetchScheduler.cancel('filter');
+        renderTaskBanner();
+        const range = getDateRange();
+        const mode = getDateMode();
+        // Cached problems are re-judged against the new range in the next frame, before any fetch returns
+        problemStates.setFilter(range, mode);
+        if (!range.from && !range.to)
             return;
-        const todayMidnight = new Date();
-        todayMidnight.setHours(0, 0, 0, 0);
-        const solvedIcons = collectSolved();
-        if (!solvedIcons.length) {
+        const solved = problemStates.ids().filter(id => problemStates.get(id).pageSolved);
+        if (!solved.length) {
             setStatus('No solved problems detected.');
             return;
         }
-        solvedIcons.forEach(icon => { if (!icon.classList.contains('full'))
-            icon.classList.add('full'); });
-        const queue = new TaskQueue(3);
-        let processed = 0, total = solvedIcons.length, fetched = 0;
-        const thresholdIso = threshold.toISOString();
-        console.log('[CSES Filter] Threshold:', thresholdIso, 'Solved icons:', total);
-        solvedIcons.forEach((icon, i) => {
-            console.log(`[CSES Filter][DISCOVER] #${i} classes=`, icon.className, 'outerHTML=', icon.outerHTML);
-        });
-        solvedIcons.forEach(icon => {
-            const problemId = extractProblemId(icon);
-            if (!problemId) {
-                console.warn('[CSES Filter][NO-ID] Could not find problem id for icon', icon);
-                return;
-            }
-            const title = extractProblemTitle(icon);
-            icon.setAttribute('data-problem-id', problemId);
-            icon.setAttribute('data-problem-title', title);
+        let processed = 0, fetched = 0;
+        const total = solved.length;
+        const rangeLabel = describeRange(range);
+        const modeLabel = DATE_MODE_LABELS[mode];
+        debugLog('[CSES Filter] Range:', rangeLabel, 'Mode:', mode, 'Solved problems:', total);
+        solved.forEach(problemId => {
+            const st = problemStates.get(problemId);
+            const icon = st.rows[0].querySelector('span.task-score.icon');
             if (forceRefetch)
-                localStorage.removeItem(CACHE_PREFIX + problemId);
-            queue.push(async () => {
+                submissionStore.remove(problemId);
+            (async () => {
                 const fetchStart = performance.now();
-                console.log(`[CSES Filter][FETCH START] ${title} id=${problemId}`);
-                const date = await getLastSubmissionDate(problemId);
+                debugLog(`[CSES Filter][FETCH START] id=${problemId}`);
+                await getSubmissionMeta(problemId, icon, 'filter');
+                if (generation !== filterGeneration)
+                    return;
+                problemStates.invalidate([problemId]);
+                const state = problemStates.get(problemId);
                 const fetchDur = (performance.now() - fetchStart).toFixed(0);
-                if (date) {
+                if (state.date) {
                     fetched++;
-                    if (threshold.getTime() === todayMidnight.getTime()) {
-                        if (!icon.classList.contains('full'))
-                            icon.classList.add('full');
-                        icon.title = `Last submission ${date.toLocaleString()}`;
-                        console.log(`[CSES Filter][DECISION] ${title} (id ${problemId}) last=${date.toISOString()} -> keep (threshold is today) fetch=${fetchDur}ms`);
-                    }
-                    else if (date < threshold) {
-                        if (icon.classList.contains('full'))
-                            icon.classList.remove('full');
-                        icon.title = `Hidden: last submission ${date.toLocaleString()}`;
-                        console.log(`[CSES Filter][DECISION] ${title} (id ${problemId}) last=${date.toISOString()} threshold=${thresholdIso} -> HIDE fetch=${fetchDur}ms`);
-                    }
-                    else {
-                        if (!icon.classList.contains('full'))
-                            icon.classList.add('full');
-                        icon.title = `Last submission ${date.toLocaleString()}`;
-                        console.log(`[CSES Filter][DECISION] ${title} (id ${problemId}) last=${date.toISOString()} threshold=${thresholdIso} -> keep fetch=${fetchDur}ms`);
-                    }
+                    debugLog(`[CSES Filter][DECISION] id ${problemId} ${mode}=${state.date.toISOString()} range=${rangeLabel} -> ${state.bucket === 'historic' ? 'HISTORIC' : 'keep'} fetch=${fetchDur}ms`);
                 }
                 else {
-                    console.warn(`[CSES Filter][ERROR] ${title} (id ${problemId}) failed to fetch/parse date.`);
+                    console.warn(`[CSES Filter][ERROR] problem ${problemId} failed to fetch/parse date.`);
                 }
                 processed++;
                 if (processed % 5 === 0 || processed === total) {
-                    setStatus(`Processed ${processed}/${total} solved problems (fetched ${fetched}). Threshold ${toISODate(threshold)}.`);
-                    updateFilteredSectionStats();
+                    const retries = fetchScheduler.retries ? `, ${fetchScheduler.retries} retries` : '';
+                    setStatus(`Processed ${processed}/${total} solved problems (fetched ${fetched}${retries}). Range ${rangeLabel} by ${modeLabel}.`);
                 }
+            })();
+        });
+        if (processed < total)
+            setStatus(`Queued ${total} solved problems...`);
+        debugLog('[CSES Filter] Queue filled. Beginning async fetches.');
+    }
+    /** Status from cached history alone. A legacy date-only record never says whether it was accepted, so it counts as attempted until revalidated. */
+    function statusFromMeta(meta) {
+        if (!meta || !meta.attempted)
+            return 'unattended';
+        return meta.lastAccepted ? 'solved' : 'wrong';
+    }
+    function isoOrNull(d) {
+        return d ? d.toISOString() : null;
+    }
+    /**
+     * Every problem known from the list on this page plus every cached record.
+     * Titles and sections only come from the page; the page icon wins for status.
+     */
+    function collectExportData() {
+        const out = new Map();
+        const build = (id, title, section, status) => {
+            const rec = submissionStore.peekRecord(id);
+            const meta = submissionStore.peek(id);
+            return {
+                id, title, section, status,
+                firstAttempt: isoOrNull(meta && meta.firstAttempt),
+                firstAccepted: isoOrNull(meta && meta.firstAccepted),
+                lastAccepted: isoOrNull(meta && meta.lastAccepted),
+                lastSubmission: isoOrNull(meta && meta.date),
+                fetchedAt: rec && rec.fetchedAt ? new Date(rec.fetchedAt).toISOString() : null,
+                submissions: rec ? rec.submissions : []
+            };
+        };
+        findSections().forEach(({ heading, list }) => {
+            if (!list)
+                return;
+            const section = getHeadingLabel(heading);
+            list.querySelectorAll('li.task').forEach(li => {
+                const c = classifyTask(li);
+                if (!c.problemId || out.has(c.problemId))
+                    return;
+                const originallySolved = !!li.querySelector('span.task-score.icon[data-original-solved="1"]');
+                const status = c.solved || originallySolved ? 'solved' : c.attempted ? 'wrong' : 'unattended';
+                out.set(c.problemId, build(c.problemId, extractProblemTitle(li), section, status));
             });
         });
-        setStatus(`Queued ${solvedIcons.length} solved problems...`);
-        console.log('[CSES Filter] Queue filled. Beginning async fetches.');
-        updateFilteredSectionStats();
+        submissionStore.ids().forEach(id => {
+            if (!out.has(id))
+                out.set(id, build(id, '', '', statusFromMeta(submissionStore.peek(id))));
+        });
+        return Array.from(out.values());
+    }
+    function toJsonExport(problems) {
+        return JSON.stringify({ format: EXPORT_FORMAT, version: EXPORT_VERSION, exportedAt: new Date().toISOString(), problems }, null, 2);
+    }
+    function csvEscape(v) {
+        return /[",\r\n]/.test(v) ? '"' + v.replace(/"/g, '""') + '"' : v;
+    }
+    function toCsv(problems) {
+        const lines = [CSV_COLUMNS.join(',')];
+        problems.forEach(p => {
+            const row = [p.id, p.title, p.section, p.status, p.firstAttempt, p.firstAccepted, p.lastAccepted, p.lastSubmission, String(p.submissions.length), p.fetchedAt];
+            lines.push(row.map(v => csvEscape(v || '')).join(','));
+        });
+        return lines.join('\r\n') + '\r\n';
+    }
+    function parseCsv(text) {
+        const rows = [];
+        let row = [], field = '', quoted = false;
+        for (let i = 0; i < text.length; i++) {
+            const ch = text[i];
+            if (quoted) {
+                if (ch === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                }
+                else if (ch === '"')
+                    quoted = false;
+                else
+                    field += ch;
+            }
+            else if (ch === '"')
+                quoted = true;
+            else if (ch === ',') {
+                row.push(field);
+                field = '';
+            }
+            else if (ch === '\n' || ch === '\r') {
+                if (ch === '\r' && text[i + 1] === '\n')
+                    i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            }
+            else
+                field += ch;
+        }
+        if (field || row.length) {
+            row.push(field);
+            rows.push(row);
+        }
+        return rows.filter(r => r.some(v => v !== ''));
+    }
+    function parseJsonImport(text) {
+        const data = JSON.parse(text);
+        if (!data || data.format !== EXPORT_FORMAT || !Array.isArray(data.problems))
+            throw new Error('not a CSES filter export');
+        if (data.version > EXPORT_VERSION)
+            throw new Error(`export version ${data.version} is newer than supported (${EXPORT_VERSION})`);
+        return data.problems.filter(p => p && /^\d+$/.test(String(p.id))).map(p => {
+            const submissions = Array.isArray(p.submissions)
+                ? p.submissions.filter(x => x && typeof x.t === 'string' && !isNaN(new Date(x.t).getTime()))
+                    .map(x => ({ t: x.t, lang: x.lang || '', verdict: x.verdict || '', url: x.url || null }))
+                : [];
+            const fetchedAt = p.fetchedAt ? new Date(p.fetchedAt).getTime() : 0;
+            return { id: String(p.id), submissions, legacyDate: submissions.length ? null : (p.lastSubmission || null), fetchedAt: isNaN(fetchedAt) ? 0 : fetchedAt };
+        });
+    }
+    /**
+     * CSV carries only the derived timestamps, so each known timestamp becomes a
+     * synthetic submission (accepted ones marked `ACCEPTED`), which reproduces
+     * the same first/last attempt and accepted dates after import. These are
+     * placeholders, not the real history: the record is stored as never fetched
+     * (`fetchedAt` 0) so the next revalidation replaces it.
+     */
+    function parseCsvImport(text) {
+        const [header, ...rows] = parseCsv(text);
+        if (!header)
+            return [];
+        const idx = (name) => header.indexOf(name);
+        if (idx('id') < 0)
+            throw new Error('CSV has no id column');
+        const get = (row, name) => (idx(name) >= 0 ? (row[idx(name)] || '').trim() : '');
+        const valid = (v) => !!v && !isNaN(new Date(v).getTime());
+        return rows.filter(r => /^\d+$/.test(get(r, 'id'))).map(r => {
+            const subs = [];
+            const add = (t, verdict) => { if (valid(t))
+                subs.push({ t: new Date(t).toISOString(), lang: '', verdict, url: null }); };
+            add(get(r, 'first_attempt'), '');
+            add(get(r, 'first_accepted'), ACCEPTED);
+            add(get(r, 'last_accepted'), ACCEPTED);
+            add(get(r, 'last_submission'), '');
+            const rec = { id: get(r, 'id'), submissions: [], legacyDate: null, fetchedAt: 0 };
+            return mergeStored(rec, { ...rec, submissions: subs });
+        });
+    }
+    function downloadFile(name, content, type) {
+        const url = URL.createObjectURL(new Blob([content], { type }));
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = name;
+        document.body.appendChild(a);
+        a.click();
+        a.remove();
+        window.setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+    let recordedResult = null;
+    /**
+     * Fold the judged submission on a result page into the cache, so the list page shows it
+     * without refetching. A fresh record stays fresh; a problem seen here for the first time is
+     * stored as stale, since one submission is not its full history.
+     */
+    function recordResultPage() {
+        if (!/\/problemset\/result\//.test(location.pathname))
+            return;
+        const parsed = parseResultPage(document, location.href);
+        if (!parsed)
+            return;
+        const { problemId, submission } = parsed;
+        const key = problemId + '|' + submission.time.toISOString();
+        if (recordedResult === key)
+            return;
+        recordedResult = key;
+        const code = submission.verdict === ACCEPTED ? extractSourceCode(document) : null;
+        const resultId = resultIdFromUrl(submission.resultUrl);
+        if (code && resultId) {
+            sourceArchive.put({ id: resultId, problemId, t: submission.time.toISOString(), lang: submission.language, code, savedAt: Date.now() })
+                .then(() => debugLog(`[CSES Filter] Archived accepted code of problem ${problemId} (result ${resultId})`))
+                .catch(e => console.error('[CSES Filter] Failed to archive code', problemId, e));
+        }
+        submissionStore.ready
+            // A problem first seen here counts as fetched now; merging keeps the newer fetch time of an existing record
+            .then(() => submissionStore.merge([{ id: problemId, submissions: toCachedSubmissions([submission]), legacyDate: null, fetchedAt: submissionStore.peekRecord(problemId) ? 0 : Date.now() }]))
+            .then(changed => {
+            if (!changed)
+                return;
+            const meta = readCachedMeta(problemId);
+            if (meta)
+                syncReviewEntry(problemId, meta);
+            updateCacheStatus();
+            debugLog(`[CSES Filter] Recorded ${submission.verdict} for problem ${problemId} from result page`);
+        })
+            .catch(e => console.error('[CSES Filter] Failed to record result', problemId, e));
     }
     function enhanceResultCopyButtons() {
         const actions = Array.from(document.querySelectorAll('div.samp-actions'));
@@ -731,17 +4440,19 @@
                     return;
                 const prev = btn.innerHTML;
                 btn.disabled = true;
-                btn.innerHTML = '<i class="fas fa-spinner fa-spin"></i> Copying';
+                btn.innerHTML = '<i class="fas fa-spinner fa-spin" aria-hidden="true"></i> Copying';
                 try {
                     const content = await fetchViewContent(url);
                     await navigator.clipboard.writeText(content);
-                    btn.innerHTML = '<i class="fas fa-check"></i> Copied';
+                    btn.innerHTML = '<i class="fas fa-check" aria-hidden="true"></i> Copied';
+                    setStatus('Copied test data to the clipboard.');
                     btn.style.borderColor = '#3c9b3c';
                     btn.style.color = isDarkTheme() ? '#bde5bd' : '#2a6f2a';
                 }
                 catch (e) {
                     console.error('[CSES Copy] Failed to copy', e);
-                    btn.innerHTML = '<i class="fas fa-exclamation-triangle"></i> Failed';
+                    btn.innerHTML = '<i class="fas fa-exclamation-triangle" aria-hidden="true"></i> Failed';
+                    setStatus('Copying test data failed.');
                     btn.style.borderColor = '#b55';
                     btn.style.color = isDarkTheme() ? '#ffbdbd' : '#7a1f1f';
                 }
@@ -756,6 +4467,325 @@
             act.setAttribute('data-copy-enhanced', '1');
         });
     }
+    const CRC32_TABLE = (() => {
+        const table = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++)
+                c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+            table[n] = c >>> 0;
+        }
+        return table;
+    })();
+    function crc32(data) {
+        let c = 0xffffffff;
+        for (let i = 0; i < data.length; i++)
+            c = CRC32_TABLE[(c ^ data[i]) & 0xff] ^ (c >>> 8);
+        return (c ^ 0xffffffff) >>> 0;
+    }
+    /** Uncompressed ("stored") zip archive of the given text files. */
+    function buildZip(files) {
+        const encoder = new TextEncoder();
+        const now = new Date();
+        const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+        const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+        const entries = files.map(f => ({ name: encoder.encode(f.name), data: encoder.encode(f.content) }))
+            .map(e => ({ ...e, crc: crc32(e.data), offset: 0 }));
+        const localSize = entries.reduce((n, e) => n + 30 + e.name.length + e.data.length, 0);
+        const centralSize = entries.reduce((n, e) => n + 46 + e.name.length, 0);
+        const out = new Uint8Array(localSize + centralSize + 22);
+        const view = new DataView(out.buffer);
+        let pos = 0;
+        // Shared tail of the local and central headers: version, flags (UTF-8 names), method 0, time, date, crc, sizes, name length
+        const common = (e) => {
+            view.setUint16(pos, 20, true);
+            view.setUint16(pos + 2, 0x0800, true);
+            view.setUint16(pos + 4, 0, true);
+            view.setUint16(pos + 6, dosTime, true);
+            view.setUint16(pos + 8, dosDate, true);
+            view.setUint32(pos + 10, e.crc, true);
+            view.setUint32(pos + 14, e.data.length, true);
+            view.setUint32(pos + 18, e.data.length, true);
+            view.setUint16(pos + 22, e.name.length, true);
+            pos += 24;
+        };
+        entries.forEach(e => {
+            e.offset = pos;
+            view.setUint32(pos, 0x04034b50, true);
+            pos += 4;
+            common(e);
+            view.setUint16(pos, 0, true);
+            pos += 2;
+            out.set(e.name, pos);
+            pos += e.name.length;
+            out.set(e.data, pos);
+            pos += e.data.length;
+        });
+        const centralStart = pos;
+        entries.forEach(e => {
+            view.setUint32(pos, 0x02014b50, true);
+            view.setUint16(pos + 4, 20, true);
+            pos += 6;
+            common(e);
+            // extra, comment, disk, internal/external attributes, local header offset
+            view.setUint16(pos, 0, true);
+            view.setUint16(pos + 2, 0, true);
+            view.setUint16(pos + 4, 0, true);
+            view.setUint16(pos + 6, 0, true);
+            view.setUint32(pos + 8, 0, true);
+            view.setUint32(pos + 12, e.offset, true);
+            pos += 16;
+            out.set(e.name, pos);
+            pos += e.name.length;
+        });
+        view.setUint32(pos, 0x06054b50, true);
+        view.setUint16(pos + 8, entries.length, true);
+        view.setUint16(pos + 10, entries.length, true);
+        view.setUint32(pos + 12, pos - centralStart, true);
+        view.setUint32(pos + 16, centralStart, true);
+        return out;
+    }
+    /** Elements this script adds to result pages: the test toolbar, diff panels and copy/diff buttons. */
+    const SCRIPT_NODE_SELECTOR = '[id^="cses-"], [class*="cses-"]';
+    /** Whether a node belongs to this script's additions, counting the whitespace inserted before its buttons. */
+    function isScriptNode(node) {
+        if (node.nodeType === Node.TEXT_NODE && !(node.textContent || '').trim())
+            return true;
+        const el = node instanceof Element ? node : node.parentElement;
+        return !!el && !!el.closest(SCRIPT_NODE_SELECTOR);
+    }
+    function isScriptMutation(record) {
+        return isScriptNode(record.target) || [...Array.from(record.addedNodes), ...Array.from(record.removedNodes)].every(isScriptNode);
+    }
+    function testFileKind(label) {
+        const t = label.trim().toLowerCase().replace(/:$/, '');
+        if (t === 'input')
+            return 'in';
+        if (/^(user|your) output$/.test(t))
+            return 'out';
+        if (/^(correct|expected) output$/.test(t))
+            return 'ans';
+        return null;
+    }
+    /**
+     * Walk a result page in document order, attaching every view/save link to the test heading
+     * ("Test 7") and the label ("input", "user output", "correct output") that precede it.
+     * The verdict is the `.verdict` element or else the text after the "Verdict:" label.
+     * Elements added by this script are skipped with their subtrees.
+     */
+    function collectResultTests(doc) {
+        var _a;
+        const tests = new Map();
+        let current = null, kind = null, verdictNext = false;
+        const walker = doc.createTreeWalker(doc.body, NodeFilter.SHOW_ELEMENT, {
+            acceptNode: node => node.matches(SCRIPT_NODE_SELECTOR) ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+        });
+        for (let el = walker.nextNode(); el; el = walker.nextNode()) {
+            const text = el.children.length ? '' : cellText(el);
+            const heading = /^test\s*#?(\d+)$/i.exec(text);
+            if (heading) {
+                const n = Number(heading[1]);
+                current = tests.get(n) || { test: n, verdict: '', files: {}, actions: {} };
+                tests.set(n, current);
+                kind = null;
+                verdictNext = false;
+                continue;
+            }
+            if (!current)
+                continue;
+            if (/^verdict:?$/i.test(text))
+                verdictNext = true;
+            else if ((el.classList.contains('verdict') || verdictNext && text) && !current.verdict) {
+                current.verdict = text.toUpperCase();
+                verdictNext = false;
+            }
+            else if (testFileKind(text))
+                kind = testFileKind(text);
+            else if (el.matches('div.samp-actions') && kind) {
+                const href = (_a = (el.querySelector('a.view') || el.querySelector('a.save'))) === null || _a === void 0 ? void 0 : _a.getAttribute('href');
+                if (href)
+                    current.files[kind] = new URL(href, location.origin).toString();
+                current.actions[kind] = el;
+            }
+        }
+        return Array.from(tests.values()).sort((a, b) => a.test - b.test);
+    }
+    function isFailingTest(t) {
+        return !!t.verdict && t.verdict !== ACCEPTED;
+    }
+    function fetchTestFile(url) {
+        return fetchScheduler.schedule('test:' + url, 'manual', () => fetchViewContent(url));
+    }
+    async function downloadFailingTests(button) {
+        const failing = collectResultTests(document).filter(isFailingTest);
+        if (!failing.length) {
+            setStatus('No failing tests with downloadable data on this page.');
+            return;
+        }
+        button.disabled = true;
+        const files = [];
+        let done = 0;
+        const total = failing.reduce((n, t) => n + Object.keys(t.files).length, 0);
+        try {
+            for (const t of failing) {
+                for (const kind of ['in', 'out', 'ans']) {
+                    const url = t.files[kind];
+                    if (!url)
+                        continue;
+                    button.textContent = `Downloading ${++done}/${total}…`;
+                    files.push({ name: `test${String(t.test).padStart(2, '0')}.${kind}`, content: await fetchTestFile(url) });
+                }
+            }
+            const resultId = resultIdFromUrl(location.href) || 'result';
+            downloadFile(`cses-${resultId}-failing-tests.zip`, buildZip(files), 'application/zip');
+            setStatus(`Downloaded ${files.length} files from ${failing.length} failing test${failing.length === 1 ? '' : 's'}.`);
+        }
+        catch (e) {
+            console.error('[CSES Filter] Failed to download tests', e);
+            setStatus('Downloading the failing tests failed.');
+        }
+        finally {
+            button.disabled = false;
+            button.textContent = 'Download failing tests (.zip)';
+        }
+    }
+    function splitOutputLines(text) {
+        const lines = text.replace(/\r/g, '').split('\n').map(l => l.trim().split(/\s+/).filter(Boolean));
+        while (lines.length && !lines[lines.length - 1].length)
+            lines.pop();
+        return lines;
+    }
+    /** First line/token where the output differs from the expected one, comparing tokens as the checker does; null when equal. */
+    function firstDifference(output, expected) {
+        var _a, _b;
+        const a = splitOutputLines(output), b = splitOutputLines(expected);
+        for (let line = 0; line < Math.max(a.length, b.length); line++) {
+            const x = a[line] || [], y = b[line] || [];
+            for (let token = 0; token < Math.max(x.length, y.length); token++) {
+                if (x[token] !== y[token]) {
+                    return { line, token, got: (_a = x[token]) !== null && _a !== void 0 ? _a : (line < a.length ? '(end of line)' : '(end of output)'), expected: (_b = y[token]) !== null && _b !== void 0 ? _b : (line < b.length ? '(end of line)' : '(end of output)') };
+                }
+            }
+        }
+        return null;
+    }
+    /** Inline panel with the lines around the first difference, the differing token marked on both sides. */
+    async function showOutputDiff(t, anchor) {
+        const id = `cses-output-diff-${t.test}`;
+        const existing = document.getElementById(id);
+        if (existing) {
+            existing.remove();
+            return;
+        }
+        const dark = isDarkTheme();
+        const panel = document.createElement('div');
+        panel.id = id;
+        panel.setAttribute('role', 'region');
+        panel.setAttribute('aria-label', `Output difference for test ${t.test}`);
+        panel.style.cssText = `margin:4px 0 8px;padding:4px 8px;border-radius:6px;font:12px system-ui;border:1px solid ${dark ? '#444' : '#ddd'};background:${dark ? 'rgba(255,255,255,0.04)' : '#fafafa'};`;
+        panel.textContent = 'Loading output and expected output…';
+        anchor.after(panel);
+        let output, expected;
+        try {
+            [output, expected] = await Promise.all([fetchTestFile(t.files.out), fetchTestFile(t.files.ans)]);
+        }
+        catch (e) {
+            console.error('[CSES Filter] Failed to load test output', e);
+            panel.textContent = 'Loading the test files failed.';
+            return;
+        }
+        const diff = firstDifference(output, expected);
+        if (!diff) {
+            panel.textContent = 'Your output matches the expected output token by token (only whitespace differs).';
+            return;
+        }
+        panel.replaceChildren();
+        const head = document.createElement('div');
+        head.style.marginBottom = '4px';
+        head.textContent = `First difference at line ${diff.line + 1}, token ${diff.token + 1}: expected "${diff.expected}", got "${diff.got}".`;
+        panel.appendChild(head);
+        const mark = dark ? 'rgba(255,80,80,0.35)' : '#f9c0c0';
+        const lines = { got: splitOutputLines(output), expected: splitOutputLines(expected) };
+        const table = document.createElement('table');
+        table.style.cssText = 'border-collapse:collapse;font:12px ui-monospace,monospace;';
+        table.innerHTML = `<thead><tr><th></th><th style="text-align:left;padding:0 12px 0 4px;">Your output</th><th style="text-align:left;padding:0 4px;">Expected</th></tr></thead>`;
+        const tbody = document.createElement('tbody');
+        for (let line = Math.max(0, diff.line - 3); line <= diff.line + 3; line++) {
+            if (line >= lines.got.length && line >= lines.expected.length)
+                break;
+            const tr = document.createElement('tr');
+            const num = document.createElement('td');
+            num.style.cssText = `text-align:right;padding:0 6px;color:${dark ? '#777' : '#999'};`;
+            num.textContent = String(line + 1);
+            tr.appendChild(num);
+            [lines.got[line], lines.expected[line]].forEach(tokens => {
+                const td = document.createElement('td');
+                td.style.cssText = 'padding:0 12px 0 4px;white-space:pre;' + (line === diff.line ? 'font-weight:600;' : '');
+                (tokens || []).forEach((tok, i) => {
+                    if (i)
+                        td.append(' ');
+                    if (line === diff.line && i === diff.token) {
+                        const m = document.createElement('mark');
+                        m.style.cssText = `background:${mark};color:inherit;`;
+                        m.textContent = tok;
+                        td.appendChild(m);
+                    }
+                    else
+                        td.append(tok);
+                });
+                tr.appendChild(td);
+            });
+            tbody.appendChild(tr);
+        }
+        table.appendChild(tbody);
+        panel.appendChild(table);
+    }
+    /**
+     * "Download failing tests" on result pages, plus a Diff button on each failing test that has both outputs.
+     * Returns whether the page had its test details to work on.
+     */
+    function enhanceResultTests() {
+        if (!/\/problemset\/result\//.test(location.pathname))
+            return false;
+        const tests = collectResultTests(document);
+        const failing = tests.filter(t => isFailingTest(t) && Object.keys(t.files).length);
+        if (!failing.length)
+            return tests.length > 0;
+        if (!document.getElementById('cses-test-tools')) {
+            const first = Object.values(failing[0].actions)[0];
+            const host = first && first.closest('table, div.samp-box') || first;
+            if (host && host.parentElement) {
+                const bar = document.createElement('div');
+                bar.id = 'cses-test-tools';
+                bar.style.cssText = 'margin:8px 0;font:12px system-ui;display:flex;align-items:center;gap:8px;';
+                const btn = document.createElement('button');
+                btn.type = 'button';
+                btn.textContent = 'Download failing tests (.zip)';
+                btn.title = 'Bundle the input, your output and the expected output of every failing test as testNN.in/.out/.ans';
+                btn.addEventListener('click', () => downloadFailingTests(btn));
+                const note = document.createElement('span');
+                note.style.color = isDarkTheme() ? '#aaa' : '#666';
+                note.textContent = `${failing.length} failing test${failing.length === 1 ? '' : 's'}`;
+                bar.append(btn, note);
+                host.parentElement.insertBefore(bar, host);
+            }
+        }
+        failing.forEach(t => {
+            const act = t.actions.out;
+            if (!act || !t.files.out || !t.files.ans || act.querySelector('.cses-diff-btn'))
+                return;
+            const btn = document.createElement('button');
+            btn.type = 'button';
+            btn.className = 'cses-copy-btn cses-diff-btn';
+            btn.textContent = 'Diff';
+            btn.title = 'Show where your output first differs from the expected output';
+            btn.setAttribute('aria-label', `Diff test ${t.test} output against the expected output`);
+            btn.style.cssText = 'margin-left:4px;padding:1px 6px;font-size:11px;border-radius:4px;cursor:pointer;';
+            btn.addEventListener('click', () => showOutputDiff(t, act.nextElementSibling || act));
+            act.append(' ', btn);
+        });
+        return true;
+    }
     if (document.readyState === 'loading') {
         document.addEventListener('DOMContentLoaded', init);
     }
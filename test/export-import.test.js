@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadUserscript } from './load-userscript.js';
+
+const win = loadUserscript({
+  expose: ['submissionStore', 'collectExportData', 'toJsonExport', 'toCsv', 'parseJsonImport', 'parseCsvImport', 'metaFromStored']
+});
+const { submissionStore, collectExportData, toJsonExport, toCsv, parseJsonImport, parseCsvImport, metaFromStored } = win.__csesTest;
+
+const FETCHED_AT = Date.UTC(2024, 5, 1);
+const submission = (iso, verdict) => ({ time: new Date(iso), language: 'C++', verdict, resultUrl: null });
+const history = [
+  submission('2024-05-20T10:00:00.000Z', 'ACCEPTED'),
+  submission('2024-04-02T09:30:00.000Z', 'WRONG ANSWER'),
+  submission('2024-04-01T12:00:00.000Z', 'ACCEPTED'),
+  submission('2024-03-15T08:00:00.000Z', 'TIME LIMIT EXCEEDED')
+];
+const summary = meta => ({
+  date: meta.date && meta.date.toISOString(),
+  firstAttempt: meta.firstAttempt && meta.firstAttempt.toISOString(),
+  firstAccepted: meta.firstAccepted && meta.firstAccepted.toISOString(),
+  lastAccepted: meta.lastAccepted && meta.lastAccepted.toISOString()
+});
+
+await submissionStore.ready;
+await submissionStore.put('1068', history, FETCHED_AT);
+await submissionStore.put('1083', [], FETCHED_AT);
+const exported = collectExportData();
+
+test('JSON export round-trips the full history and fetch time', () => {
+  const byId = new Map(Array.from(parseJsonImport(toJsonExport(exported)), r => [r.id, r]));
+  assert.deepEqual(JSON.parse(JSON.stringify(byId.get('1068'))), JSON.parse(JSON.stringify(submissionStore.peekRecord('1068'))));
+  assert.equal(byId.get('1083').submissions.length, 0);
+  assert.equal(byId.get('1083').fetchedAt, FETCHED_AT);
+});
+
+test('CSV export round-trips the summary timestamps as a never-fetched record', () => {
+  const csv = toCsv(exported);
+  assert.match(csv.split('\r\n')[0], /^id,title,section,status,first_attempt,first_accepted,last_accepted,last_submission,attempts,fetched_at$/);
+  const byId = new Map(Array.from(parseCsvImport(csv), r => [r.id, r]));
+  const rec = byId.get('1068');
+  assert.equal(rec.fetchedAt, 0);
+  assert.deepEqual(summary(metaFromStored(rec)), summary(submissionStore.peek('1068')));
+  assert.equal(byId.get('1083').submissions.length, 0);
+  assert.equal(byId.get('1083').fetchedAt, 0);
+});
@@ -0,0 +1,23 @@
+// Evaluates the built userscript inside jsdom and exposes selected internals for tests.
+import { readFileSync } from 'node:fs';
+import { JSDOM, VirtualConsole } from 'jsdom';
+
+export const repoFile = name => new URL('../' + name, import.meta.url);
+export const readRepoFile = name => readFileSync(repoFile(name), 'utf8');
+
+/**
+ * Load the userscript into a fresh jsdom window. `expose` lists names from the
+ * script's closure that are copied to `window.__csesTest`. Outside /problemset/
+ * (the default URL) `init` returns immediately, so only the helpers run.
+ */
+export function loadUserscript({ html = '<!DOCTYPE html><body></body>', url = 'https://cses.fi/', expose = [], source = readRepoFile('cses-filter.user.js'), before } = {}) {
+  const hooked = source.replace(/\}\)\(\);\s*$/, `window.__csesTest = { ${expose.join(', ')} };\n})();\n`);
+  if (hooked === source) throw new Error('Could not find the end of the userscript IIFE');
+  const virtualConsole = new VirtualConsole();
+  virtualConsole.on('error', (...args) => console.error(...args));
+  virtualConsole.on('jsdomError', e => console.error(e));
+  const dom = new JSDOM(html, { url, runScripts: 'outside-only', pretendToBeVisual: true, virtualConsole });
+  if (before) before(dom.window);
+  dom.window.eval(hooked);
+  return dom.window;
+}
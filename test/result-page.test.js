@@ -0,0 +1,119 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import zlib from 'node:zlib';
+import { loadUserscript, readRepoFile } from './load-userscript.js';
+
+const RESULT_URL = 'https://cses.fi/problemset/result/9100317/';
+const html = readRepoFile('cses_result.html');
+
+test('parseResultPage reads the judged submission from the summary table', () => {
+  const win = loadUserscript({ html, expose: ['parseResultPage'] });
+  const parsed = win.__csesTest.parseResultPage(win.document, RESULT_URL);
+  assert.equal(parsed.problemId, '1068');
+  assert.equal(parsed.submission.time.getTime(), new Date('2024-06-01T08:58:41').getTime());
+  assert.equal(parsed.submission.language, 'C++ (C++17)');
+  assert.equal(parsed.submission.verdict, 'WRONG ANSWER');
+  assert.equal(parsed.submission.resultUrl, RESULT_URL);
+});
+
+test('parseResultPage ignores a submission that is still being judged', () => {
+  const judging = html.replace('<td>READY</td>', '<td>TESTING</td>');
+  const win = loadUserscript({ html: judging, expose: ['parseResultPage'] });
+  assert.equal(win.__csesTest.parseResultPage(win.document, RESULT_URL), null);
+});
+
+test('visiting a result page records a first-seen problem as freshly fetched', async () => {
+  const before = Date.now();
+  const win = loadUserscript({ html, url: RESULT_URL, expose: ['submissionStore'] });
+  const { submissionStore } = win.__csesTest;
+  await submissionStore.ready;
+  // The merge runs after the store is ready
+  await new Promise(resolve => setTimeout(resolve, 50));
+  const rec = submissionStore.peekRecord('1068');
+  assert.equal(rec.submissions.length, 1);
+  assert.equal(rec.submissions[0].verdict, 'WRONG ANSWER');
+  assert.ok(rec.fetchedAt >= before, 'fetchedAt is the visit time, not 0');
+  win.close();
+});
+
+const plain = tests => Array.from(tests, t => ({ test: t.test, verdict: t.verdict, files: { ...t.files } }));
+const view = (test, kind) => `https://cses.fi/problemset/view/9100317/${test}/${kind}/`;
+
+test('collectResultTests groups the file links under their test and label', () => {
+  const win = loadUserscript({ html, expose: ['collectResultTests'] });
+  assert.deepEqual(plain(win.__csesTest.collectResultTests(win.document)), [
+    { test: 1, verdict: 'ACCEPTED', files: { in: view(1, 'input'), ans: view(1, 'correct') } },
+    { test: 2, verdict: 'WRONG ANSWER', files: { in: view(2, 'input'), out: view(2, 'user'), ans: view(2, 'correct') } },
+    // Test 3 has its verdict as plain text after the label, without a .verdict element
+    { test: 3, verdict: 'TIME LIMIT EXCEEDED', files: { in: view(3, 'input'), out: view(3, 'user'), ans: view(3, 'correct') } }
+  ]);
+});
+
+test('the test toolbar, diff buttons and diff panels do not change the grouping', async () => {
+  const files = { '2/user': '7 22 11 34 17 52 26 13 40 20 10 5 16 8 4 2', '2/correct': '7 22 11 34 17 52 26 13 40 20 10 5 16 8 4 2 1' };
+  const win = loadUserscript({
+    html,
+    url: RESULT_URL,
+    expose: ['collectResultTests', 'submissionStore'],
+    before: w => {
+      w.fetch = async url => {
+        const key = /(\d+\/\w+)\/$/.exec(url)[1];
+        return { ok: true, status: 200, headers: { get: () => 'text/plain' }, text: async () => files[key] || '' };
+      };
+    }
+  });
+  await win.__csesTest.submissionStore.ready;
+  const doc = win.document;
+  assert.ok(doc.getElementById('cses-test-tools'), 'toolbar added');
+  const diffButtons = doc.querySelectorAll('.cses-diff-btn');
+  assert.equal(diffButtons.length, 2, 'Diff on the two failing tests with both outputs');
+  diffButtons[0].click();
+  const panel = doc.getElementById('cses-output-diff-2');
+  // Both files go through the fetch scheduler, which spaces out requests
+  for (let waited = 0; panel.textContent.startsWith('Loading') && waited < 5000; waited += 50) await new Promise(resolve => setTimeout(resolve, 50));
+  assert.match(panel.textContent, /First difference at line 1, token 17: expected "1", got "\(end of line\)"/);
+  assert.match(panel.textContent, /Your output/);
+  const untouched = loadUserscript({ html, expose: ['collectResultTests'] });
+  assert.deepEqual(plain(win.__csesTest.collectResultTests(doc)), plain(untouched.__csesTest.collectResultTests(untouched.document)));
+  win.close();
+});
+
+test('buildZip writes stored entries with matching local and central headers', () => {
+  const win = loadUserscript({ expose: ['buildZip'], before: w => { w.TextEncoder = TextEncoder; } });
+  const files = [{ name: 'test02.in', content: '7\n' }, { name: 'test02.out', content: 'ü 2\n' }];
+  const out = win.__csesTest.buildZip(files);
+  const zip = Buffer.from(out.buffer, out.byteOffset, out.length);
+
+  const eocd = zip.length - 22;
+  assert.equal(zip.readUInt32LE(eocd), 0x06054b50);
+  assert.equal(zip.readUInt16LE(eocd + 10), 2, 'entry count');
+  let central = zip.readUInt32LE(eocd + 16);
+  assert.equal(central + zip.readUInt32LE(eocd + 12), eocd, 'central directory ends at the end record');
+
+  for (const file of files) {
+    const data = Buffer.from(file.content);
+    assert.equal(zip.readUInt32LE(central), 0x02014b50);
+    const nameLength = zip.readUInt16LE(central + 28);
+    assert.equal(zip.toString('utf8', central + 46, central + 46 + nameLength), file.name);
+    assert.equal(zip.readUInt16LE(central + 10), 0, 'stored, not compressed');
+    assert.equal(zip.readUInt32LE(central + 16), zlib.crc32(data));
+    assert.equal(zip.readUInt32LE(central + 20), data.length);
+
+    const local = zip.readUInt32LE(central + 42);
+    assert.equal(zip.readUInt32LE(local), 0x04034b50);
+    assert.equal(zip.readUInt32LE(local + 14), zlib.crc32(data));
+    assert.equal(zip.toString('utf8', local + 30, local + 30 + nameLength), file.name);
+    const start = local + 30 + nameLength + zip.readUInt16LE(local + 28);
+    assert.deepEqual(zip.subarray(start, start + data.length), data);
+    central += 46 + nameLength;
+  }
+});
+
+test('firstDifference reports the first differing token as the checker compares them', () => {
+  const win = loadUserscript({ expose: ['firstDifference'] });
+  const diff = (a, b) => ({ ...win.__csesTest.firstDifference(a, b) });
+  assert.equal(win.__csesTest.firstDifference('1  2\r\n3\n\n', '1 2\n3'), null, 'whitespace only');
+  assert.deepEqual(diff('1 2\n4 5\n', '1 2\n4 6\n'), { line: 1, token: 1, got: '5', expected: '6' });
+  assert.deepEqual(diff('7 2', '7 2 1'), { line: 0, token: 2, got: '(end of line)', expected: '1' });
+  assert.deepEqual(diff('1\n', '1\n2\n'), { line: 1, token: 0, got: '(end of output)', expected: '2' });
+});
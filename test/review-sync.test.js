@@ -0,0 +1,24 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadUserscript } from './load-userscript.js';
+
+const KEY = 'cses:reviewState';
+
+test('saving review progress keeps entries another tab saved meanwhile', () => {
+  const win = loadUserscript({ expose: ['reviewState', 'syncReviewEntry', 'saveReviewProgress', 'buildSubmissionMeta'] });
+  const { reviewState, syncReviewEntry, saveReviewProgress, buildSubmissionMeta } = win.__csesTest;
+  const accepted = iso => buildSubmissionMeta([{ time: new Date(iso), language: '', verdict: 'ACCEPTED', resultUrl: null }]);
+
+  syncReviewEntry('1068', accepted('2024-05-01T10:00:00.000Z'));
+  // The other tab saves after we loaded: a new problem plus a later solve of ours
+  win.localStorage.setItem(KEY, JSON.stringify({
+    '1083': { stage: 0, lastAccepted: '2024-04-01T10:00:00.000Z' },
+    '1068': { stage: 1, lastAccepted: '2024-06-01T10:00:00.000Z' }
+  }));
+  saveReviewProgress();
+
+  const saved = JSON.parse(win.localStorage.getItem(KEY));
+  assert.deepEqual(Object.keys(saved).sort(), ['1068', '1083']);
+  assert.deepEqual(saved['1068'], { stage: 1, lastAccepted: '2024-06-01T10:00:00.000Z' });
+  assert.equal(reviewState['1083'].lastAccepted, '2024-04-01T10:00:00.000Z');
+});
@@ -0,0 +1,64 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { loadUserscript, readRepoFile } from './load-userscript.js';
+
+const { parseSubmissionHistory, buildSubmissionMeta } = loadUserscript({
+  expose: ['parseSubmissionHistory', 'buildSubmissionMeta']
+}).__csesTest;
+
+// Timestamps on CSES pages carry no zone; the script reads them as local time
+const at = text => new Date(text.replace(' ', 'T')).getTime();
+// Array.from copies out of the jsdom realm so deepEqual compares plain values
+const rows = records => Array.from(records, r => ({ time: r.time.getTime(), language: r.language, verdict: r.verdict, resultUrl: r.resultUrl }));
+const timeOf = d => (d ? d.getTime() : null);
+
+test('submission table: one record per row, newest first', () => {
+  const records = parseSubmissionHistory(readRepoFile('cses_submit_table.html'));
+  assert.deepEqual(rows(records), [
+    { time: at('2024-03-02 18:04:11'), language: 'C++ (C++17)', verdict: 'ACCEPTED', resultUrl: 'https://cses.fi/problemset/result/8812345/' },
+    { time: at('2024-01-10 21:40:05'), language: 'Python3 (CPython3)', verdict: 'TIME LIMIT EXCEEDED', resultUrl: 'https://cses.fi/problemset/result/8423001/' },
+    { time: at('2023-11-05 14:22:50'), language: 'C++ (C++17)', verdict: 'ACCEPTED', resultUrl: 'https://cses.fi/problemset/result/7956120/' },
+    { time: at('2023-11-05 14:10:03'), language: 'C++ (C++17)', verdict: 'WRONG ANSWER', resultUrl: 'https://cses.fi/problemset/result/7956002/' }
+  ]);
+});
+
+test('submission table: meta has first attempt, first and last accepted', () => {
+  const meta = buildSubmissionMeta(parseSubmissionHistory(readRepoFile('cses_submit_table.html')));
+  assert.equal(meta.attempted, true);
+  assert.equal(timeOf(meta.date), at('2024-03-02 18:04:11'));
+  assert.equal(timeOf(meta.firstAttempt), at('2023-11-05 14:10:03'));
+  assert.equal(timeOf(meta.firstAccepted), at('2023-11-05 14:22:50'));
+  assert.equal(timeOf(meta.lastAccepted), at('2024-03-02 18:04:11'));
+});
+
+test('sidebar links: verdict from the score icon, no language', () => {
+  const records = parseSubmissionHistory(readRepoFile('cses_submit_sidebar.html'));
+  assert.deepEqual(rows(records), [
+    { time: at('2024-06-01 09:15:00'), language: '', verdict: 'ACCEPTED', resultUrl: 'https://cses.fi/problemset/result/9100452/' },
+    { time: at('2024-06-01 08:58:41'), language: '', verdict: 'REJECTED', resultUrl: 'https://cses.fi/problemset/result/9100317/' },
+    { time: at('2023-12-24 17:03:29'), language: '', verdict: 'ACCEPTED', resultUrl: 'https://cses.fi/problemset/result/8210070/' }
+  ]);
+  const meta = buildSubmissionMeta(records);
+  assert.equal(timeOf(meta.firstAttempt), at('2023-12-24 17:03:29'));
+  assert.equal(timeOf(meta.firstAccepted), at('2023-12-24 17:03:29'));
+  assert.equal(timeOf(meta.lastAccepted), at('2024-06-01 09:15:00'));
+});
+
+test('no submissions: empty history and empty meta', () => {
+  const records = parseSubmissionHistory(readRepoFile('cses_submit_none.html'));
+  assert.equal(records.length, 0);
+  const meta = buildSubmissionMeta(records);
+  assert.equal(meta.attempted, false);
+  assert.equal(meta.date, null);
+  assert.equal(meta.firstAttempt, null);
+  assert.equal(meta.firstAccepted, null);
+  assert.equal(meta.lastAccepted, null);
+});
+
+test('timestamps outside the submission list are not attempts', () => {
+  const html = readRepoFile('cses_submit_other_dates.html');
+  assert.match(html, /2024-07-15 10:20:30/);
+  const records = parseSubmissionHistory(html);
+  assert.equal(records.length, 0);
+  assert.equal(buildSubmissionMeta(records).attempted, false);
+});